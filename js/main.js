@@ -8,8 +8,16 @@ import { SceneManager } from './modules/scene-manager.js';
 import { FoodSpawner } from './modules/food-spawner.js';
 import { GameLogic } from './modules/game-logic.js';
 import { HandDetector } from './modules/hand-detector.js';
+import { CompositeInputProvider } from './modules/input-provider.js';
+import { MediaPipeInputProvider } from './modules/mediapipe-input-provider.js';
+import { PointerInputProvider } from './modules/pointer-input-provider.js';
+import { ReplayInputProvider } from './modules/replay-input-provider.js';
+import { SessionRecorder } from './modules/session-recorder.js';
 import { CollisionDetector } from './modules/collision-detector.js';
 import { FingerVisualizer } from './modules/finger-visualizer.js';
+import { GAME_MODES, getGameMode } from './modules/game-modes.js';
+import { BLADE_PRESETS, getBladePreset } from './modules/blade-presets.js';
+import { getTrackingConfig } from './modules/tracking-config.js';
 
 /**
  * Main application class for Augmented Fruit Ninja
@@ -29,14 +37,22 @@ class AugmentedFoodNinja {
         // Application state management
         this.isInitialized = false;
         this.lastTime = 0; // Used for delta time calculations in game loop
-        this.gameState = 'loading'; // Possible states: loading, playing, paused
+        this.gameState = 'loading'; // Possible states: loading, playing, paused, gameover
+        
+        // Selected game mode - can be preselected with ?mode=arcade for event sessions
+        this.gameMode = getGameMode(new URLSearchParams(window.location.search).get('mode'));
+        
+        // Selected blade preset - can be preselected with ?blade=all
+        this.bladePreset = getBladePreset(new URLSearchParams(window.location.search).get('blade'));
         
         // Core game systems - each handles a specific aspect of the game
         this.cameraManager = null;        // Manages WebRTC camera access and video stream
         this.sceneManager = null;         // Handles Three.js scene setup and rendering
         this.foodSpawner = null;          // Spawns and manages falling food objects
         this.gameLogic = null;            // Handles scoring, levels, and game rules
-        this.handDetector = null;         // MediaPipe-based hand tracking system
+        this.handDetector = null;         // MediaPipe-based hand tracking system (null without a camera)
+        this.inputProvider = null;        // Combined hand tracking and mouse/touch input
+        this.sessionRecorder = new SessionRecorder();   // Records hand tracking for replays
         this.collisionDetector = null;    // Detects when hands collide with food objects
         this.fingerVisualizer = null;     // Visual feedback for finger tracking
         
@@ -45,11 +61,23 @@ class AugmentedFoodNinja {
         this.canvas = document.getElementById('gameCanvas');
         this.loadingScreen = document.getElementById('loadingScreen');
         this.scoreElement = document.getElementById('scoreValue');
+        this.livesElement = document.getElementById('livesValue');
+        this.modeElement = document.getElementById('modeValue');
+        this.bladeElement = document.getElementById('bladeValue');
+        this.timerElement = document.getElementById('timerValue');
+        this.resultsScreen = document.getElementById('resultsScreen');
         this.debugElement = document.getElementById('debugInfo');
         
+        // Announcements (e.g., multi-slices) are shown one after another
+        this.announcementElement = document.getElementById('announcement');
+        this.announcementQueue = [];        // Messages waiting to be shown
+        this.announcementUntil = 0;         // Time when the current message is hidden
+        this.announcementDuration = 1500;   // Milliseconds each message stays visible
+        
         // Hand tracking UI elements for real-time feedback
         this.handCountElement = document.getElementById('handCount');
         this.collisionStatusElement = document.getElementById('collisionStatus');
+        this.depthStatusElement = document.getElementById('depthStatus');
     }
     
     /**
@@ -59,7 +87,7 @@ class AugmentedFoodNinja {
      * 1. Camera first (required for video texture)
      * 2. Scene setup (requires video dimensions)
      * 3. Food models loading (asynchronous)
-     * 4. Hand tracking (requires video stream)
+     * 4. Hand tracking (requires video stream) and mouse/touch input
      * 5. Collision and game systems (require all previous components)
      * 
      * Each step is awaited to ensure proper initialization before proceeding.
@@ -69,8 +97,17 @@ class AugmentedFoodNinja {
             this.updateLoadingStatus('Initializing camera...');
             
             // Initialize camera manager - must be first as other systems depend on video stream
+            // Without a camera (or with ?input=pointer) the game is played with mouse or touch;
+            // replays (?replay=<recording URL>) do not need the camera either
             this.cameraManager = new CameraManager(this.videoElement);
-            await this.cameraManager.initialize();
+            const startParams = new URLSearchParams(window.location.search);
+            if (startParams.get('input') !== 'pointer' && !startParams.get('replay')) {
+                try {
+                    await this.cameraManager.initialize();
+                } catch (error) {
+                    console.warn('No camera available, continuing with mouse/touch input:', error);
+                }
+            }
             
             this.updateLoadingStatus('Setting up 3D scene...');
             
@@ -82,13 +119,19 @@ class AugmentedFoodNinja {
             
             // Initialize food spawner - loads 3D models and sets up spawning system
             this.foodSpawner = new FoodSpawner(this.sceneManager);
+            this.foodSpawner.applyPlayArea(this.sceneManager.getPlayPlane());   // Fit launches to the visible area
             await this.foodSpawner.initialize();
             
-            this.updateLoadingStatus('Initializing hand tracking...');
+            // Preload the scripted wave files used by game modes (modes without their waves fall back to random spawning)
+            const waveFiles = Object.values(GAME_MODES).map(mode => mode.waves).filter(Boolean);
+            await Promise.all(waveFiles.map(file => this.foodSpawner.loadWaveDefinition(file).catch(error => {
+                console.warn(`Wave definition ${file} unavailable, using random spawning:`, error.message);
+            })));
             
-            // Initialize hand detector - sets up MediaPipe for real-time hand tracking
-            this.handDetector = new HandDetector(this.videoElement, this.sceneManager.getCamera());
-            await this.handDetector.initialize();
+            this.updateLoadingStatus('Initializing input...');
+            
+            // Set up input - hand tracking when a camera is available, mouse/touch always
+            this.inputProvider = await this.createInputProvider();
             
             this.updateLoadingStatus('Setting up finger visualization...');
             
@@ -100,15 +143,24 @@ class AugmentedFoodNinja {
             // Initialize game logic - handles scoring, combos, and level progression
             this.gameLogic = new GameLogic();
             
+            // Report food that leaves play unsliced to the lives system
+            this.foodSpawner.onFoodMissed = (food) => {
+                this.gameLogic.registerMiss(food.type, food.category);
+            };
+            
             // Initialize collision detector - connects hand tracking with game mechanics
             // Passes fingerVisualizer for particle effects when slicing occurs
             this.collisionDetector = new CollisionDetector(
-                this.handDetector, 
+                this.inputProvider, 
                 this.foodSpawner, 
                 this.gameLogic,
                 this.fingerVisualizer
             );
             
+            // Apply the rules of the selected game mode and the blade fingers
+            this.applyGameMode();
+            this.applyBladePreset();
+            
             this.updateLoadingStatus('Ready to play!');
             
             // Hide loading screen with a brief delay for smooth transition
@@ -145,6 +197,80 @@ class AugmentedFoodNinja {
         this.loadingScreen.innerHTML = message;
     }
     
+    /**
+     * Create the input providers
+     * 
+     * Hand tracking is used whenever the camera is available and MediaPipe
+     * initializes; mouse, touch and pen input is always available next to it.
+     * If hand tracking fails, the game remains playable with the pointer.
+     * With ?replay=<recording URL> a recorded session replaces live detection
+     * (&loop=1 repeats it).
+     * 
+     * @returns {Promise<CompositeInputProvider>} Combined input provider
+     */
+    async createInputProvider() {
+        const params = new URLSearchParams(window.location.search);
+        const providers = [];
+        
+        if (params.get('replay')) {
+            const recording = await ReplayInputProvider.load(params.get('replay'));
+            const replayInput = new ReplayInputProvider(recording, this.sceneManager.getPlayPlane(), {
+                loop: params.get('loop') === '1'
+            });
+            providers.push(replayInput);
+            this.handDetector = replayInput.handDetector;
+        } else if (this.cameraManager.isReady) {
+            /**
+             * Hand tracking configuration from the URL
+             * 
+             * ?assets=local loads MediaPipe and its model from ./vendor/ instead of
+             * the CDN, ?delegate=CPU skips the GPU and ?hands=1 tracks a single hand.
+             */
+            const numHands = parseInt(params.get('hands'), 10);
+            const trackingConfig = getTrackingConfig({
+                assetSource: params.get('assets'),
+                delegate: params.get('delegate') === 'CPU' ? 'CPU' : undefined,
+                numHands: numHands > 0 ? numHands : undefined
+            });
+            
+            // Initialize hand detector - sets up MediaPipe for real-time hand tracking
+            const handDetector = new HandDetector(this.videoElement, this.sceneManager.getPlayPlane(), trackingConfig);
+            
+            // Latency compensation can be tuned per machine with ?predict=<milliseconds>
+            const predictionHorizon = parseFloat(params.get('predict'));
+            if (!Number.isNaN(predictionHorizon)) {
+                handDetector.setPredictionHorizon(predictionHorizon);
+            }
+            
+            // Detection runs in a worker unless disabled with ?worker=0
+            if (params.get('worker') === '0') {
+                handDetector.useWorker = false;
+            }
+            
+            // Detection slows down to keep at least this frame rate (?fps=<frames per second>)
+            const targetFps = parseFloat(params.get('fps'));
+            if (!Number.isNaN(targetFps)) {
+                handDetector.scheduler.setTargetFps(targetFps);
+            }
+            
+            try {
+                const handInput = new MediaPipeInputProvider(handDetector);
+                await handInput.initialize();
+                providers.push(handInput);
+                this.handDetector = handDetector;
+            } catch (error) {
+                console.warn('Hand tracking unavailable, continuing with mouse/touch input:', error);
+            }
+        }
+        
+        // Mouse, touch and pen slicing on the canvas
+        const pointerInput = new PointerInputProvider(this.canvas, this.sceneManager.getPlayPlane());
+        await pointerInput.initialize();
+        providers.push(pointerInput);
+        
+        return new CompositeInputProvider(providers);
+    }
+    
     /**
      * Start the main game loop using requestAnimationFrame
      * 
@@ -155,11 +281,20 @@ class AugmentedFoodNinja {
      * - Schedules the next frame
      * 
      * The loop only runs when the game is properly initialized and in playing state.
+     * After game over the scene keeps rendering so the camera feed stays live
+     * behind the results screen.
      */
     startGameLoop() {
         const gameLoop = (currentTime) => {
-            // Skip update if not ready or paused
+            // Skip update if not ready, paused or finished
             if (!this.isInitialized || this.gameState !== 'playing') {
+                // Keep the clock current so resuming does not produce a huge delta
+                this.lastTime = currentTime;
+                
+                if (this.isInitialized && this.gameState === 'gameover') {
+                    this.render();
+                }
+                
                 requestAnimationFrame(gameLoop);
                 return;
             }
@@ -203,12 +338,12 @@ class AugmentedFoodNinja {
         // Update food spawner - spawns new food and updates existing food physics
         this.foodSpawner.update(deltaTime);
         
-        // Update hand detection - processes current video frame for hand landmarks
-        this.handDetector.update();
+        // Update input - processes the current video frame for hand landmarks and samples mouse/touch
+        this.inputProvider.update();
         
-        // Update finger visualization with current fingertip positions
+        // Update finger visualization with current fingertip and pointer positions
         if (this.fingerVisualizer) {
-            const fingertips = this.handDetector.getAllFingertips();
+            const fingertips = this.inputProvider.getPointers();
             this.fingerVisualizer.update(deltaTime, fingertips);
         }
         
@@ -218,8 +353,162 @@ class AugmentedFoodNinja {
         // Update game logic - handles timers, level progression, combo timeouts
         this.gameLogic.update(deltaTime);
         
+        // Start the final burst of high-value spawns in the last seconds of timed modes
+        const timeRemaining = this.gameLogic.getTimeRemaining();
+        if (this.gameMode.finalBurst && timeRemaining !== null) {
+            this.foodSpawner.setFinalBurst(timeRemaining <= this.gameMode.finalBurst.duration);
+        }
+        
         // Update user interface with current game state
         this.updateUI();
+        
+        // End the run once the last life has been lost
+        if (this.gameLogic.isGameOver()) {
+            this.endGame();
+        }
+    }
+    
+    /**
+     * End the current run and show the final results
+     * 
+     * Moves the application into the gameover state, clears remaining food
+     * and displays the results screen until the player restarts.
+     */
+    endGame() {
+        if (this.gameState === 'gameover') return;
+        
+        this.gameState = 'gameover';
+        this.foodSpawner.clearFoods();
+        this.showResults();
+    }
+    
+    /**
+     * Display the final results screen
+     * 
+     * Builds the summary from game logic statistics so the results always
+     * match what was tracked during the run.
+     */
+    showResults() {
+        const stats = this.gameLogic.getStatsByCategory();
+        const title = this.gameLogic.getEndReason() === 'time' ? "Time's Up!" : 'Game Over';
+        
+        // Per-category breakdown of sliced foods
+        const categoryBreakdown = Object.entries(stats.slicedByCategory)
+            .map(([category, count]) => `${category}: ${count}`)
+            .join(' | ') || 'none';
+        
+        this.resultsScreen.innerHTML = `
+            <div>
+                <h2>${title}</h2>
+                <p>${this.gameMode.label} mode</p>
+                <p>Final score: ${stats.totalScore}</p>
+                <p>Foods sliced: ${stats.totalSliced} | Clean cuts: ${stats.cleanCuts} | Missed: ${stats.totalMissed} | Bombs hit: ${stats.hazardsHit}</p>
+                <p>Multi-slices: ${stats.multiSlices} | Best multi-slice: ${stats.bestMultiSlice || '-'}</p>
+                <p>Level reached: ${stats.currentLevel} | Time: ${Math.floor(stats.gameTime)}s</p>
+                <p>Sliced by category: ${categoryBreakdown}</p>
+                <p>Average points per slice: ${stats.avgPointsPerSlice}</p>
+                <p>Press R to play again, or ${this.getModeShortcutHelp()}</p>
+            </div>
+        `;
+        this.resultsScreen.style.display = 'flex';
+    }
+    
+    /**
+     * Hide the final results screen
+     */
+    hideResults() {
+        this.resultsScreen.style.display = 'none';
+    }
+    
+    /**
+     * Describe the keyboard shortcuts for mode selection
+     * 
+     * @returns {string} Help text such as "1 = Endless, 2 = Arcade"
+     */
+    getModeShortcutHelp() {
+        return Object.values(GAME_MODES)
+            .map((mode, index) => `${index + 1} = ${mode.label}`)
+            .join(', ');
+    }
+    
+    /**
+     * Apply the current game mode's rules to all game systems
+     */
+    applyGameMode() {
+        this.gameLogic.applyMode(this.gameMode);
+        this.foodSpawner.applyMode(this.gameMode);
+        this.collisionDetector.setDepthMode(Boolean(this.gameMode.depthChallenge));
+    }
+    
+    /**
+     * Calibrate hand depth at the current hand distance
+     * 
+     * The player holds a hand at a comfortable distance from the camera;
+     * that distance becomes the play plane. The result is announced on the HUD.
+     */
+    calibrateDepth() {
+        if (!this.isInitialized) return;
+        
+        if (!this.handDetector) {
+            this.gameLogic.announce('Depth calibration needs a camera', 'info');
+        } else if (this.handDetector.calibrateDepth()) {
+            this.gameLogic.announce('Depth calibrated', 'info');
+        } else {
+            this.gameLogic.announce('Show a hand to calibrate depth', 'info');
+        }
+    }
+    
+    /**
+     * Start or stop recording the hand tracking session
+     * 
+     * Stopping downloads the recording as a JSON file, which can be replayed
+     * with ?replay=<file URL>.
+     */
+    toggleRecording() {
+        if (!this.isInitialized) return;
+        
+        if (!this.handDetector) {
+            this.gameLogic.announce('Recording needs hand tracking', 'info');
+        } else if (this.sessionRecorder.isRecording()) {
+            const recording = this.sessionRecorder.stop();
+            this.sessionRecorder.download(recording);
+            this.gameLogic.announce(`Recording saved (${recording.frames.length} frames)`, 'info');
+        } else {
+            this.sessionRecorder.start(this.handDetector);
+            this.gameLogic.announce('Recording hand tracking', 'info');
+        }
+    }
+    
+    /**
+     * Apply the current blade preset to slicing and visualization
+     */
+    applyBladePreset() {
+        this.collisionDetector.setBladeFingers(this.bladePreset.fingers);
+        this.fingerVisualizer.setBladeFingers(this.bladePreset.fingers);
+    }
+    
+    /**
+     * Switch to the next blade preset
+     * 
+     * Takes effect immediately without restarting the run.
+     */
+    cycleBladePreset() {
+        if (!this.isInitialized) return;
+        
+        const presetNames = Object.keys(BLADE_PRESETS);
+        const nextIndex = (presetNames.indexOf(this.bladePreset.name) + 1) % presetNames.length;
+        this.bladePreset = BLADE_PRESETS[presetNames[nextIndex]];
+        this.applyBladePreset();
+    }
+    
+    /**
+     * Start a new run in the given game mode
+     * 
+     * @param {string} modeName - Name of the mode to play (e.g., 'arcade')
+     */
+    startGame(modeName) {
+        this.gameMode = getGameMode(modeName);
+        this.resetGame();
     }
     
     /**
@@ -239,21 +528,45 @@ class AugmentedFoodNinja {
      * - Hand tracking status
      * - Debug information (FPS, level, combo, etc.)
      * - Collision status
+     * - Announcements
      */
     updateUI() {
         // Update basic score display
         this.scoreElement.textContent = this.gameLogic.getScore();
+        this.livesElement.textContent = this.gameLogic.livesEnabled ? this.gameLogic.getLives() : '-';
+        this.modeElement.textContent = this.gameMode.label;
+        this.bladeElement.textContent = this.bladePreset.label;
+        
+        // Countdown for timed modes
+        const timeRemaining = this.gameLogic.getTimeRemaining();
+        this.timerElement.parentElement.style.display = timeRemaining === null ? 'none' : 'block';
+        if (timeRemaining !== null) {
+            this.timerElement.textContent = Math.ceil(timeRemaining);
+            this.timerElement.style.color = timeRemaining <= 10 ? '#ff4444' : 'white';
+        }
         
         // Update hand tracking status indicators
-        this.handCountElement.textContent = this.handDetector.getHandCount();
+        this.handCountElement.textContent = this.handDetector ? this.handDetector.getHandCount() : '-';
         this.collisionStatusElement.textContent = this.collisionDetector.getCollisionStatus();
         
+        // Estimated hand depth (positive = in front of the play plane)
+        const handDepth = this.handDetector ? this.handDetector.getHandDepth() : null;
+        const calibration = handDepth !== null && !this.handDetector.depthEstimator.isCalibrated() ? ' (uncalibrated)' : '';
+        this.depthStatusElement.textContent = handDepth === null
+            ? '-'
+            : `${handDepth >= 0 ? '+' : ''}${handDepth.toFixed(2)}${calibration}`;
+        
+        this.updateAnnouncements();
+        
         // Update comprehensive debug information
         if (this.sceneManager) {
             // Calculate approximate FPS from delta time
             const fps = Math.round(1000 / (performance.now() - this.lastTime + 1));
             const stats = this.gameLogic.getStatsByCategory();
-            const handDebug = this.handDetector.getDebugInfo();
+            const handDebug = this.handDetector ? this.handDetector.getDebugInfo() : null;
+            const inputInfo = handDebug
+                ? `Confidence: ${handDebug.averageConfidence} | Detection: ${handDebug.detectionMode}/${handDebug.delegate || '-'} ${handDebug.inferenceTime}ms @ ${handDebug.detectionRate}/s`
+                : 'Input: mouse/touch';
             
             // Display compact debug info in single line
             this.debugElement.innerHTML = `
@@ -261,11 +574,33 @@ class AugmentedFoodNinja {
                 Level: ${stats.currentLevel} | 
                 Combo: ${stats.currentCombo > 1 ? 'x' + stats.currentCombo : 'None'} |
                 Sliced: ${stats.totalSliced} |
-                Confidence: ${handDebug.averageConfidence}
+                ${inputInfo}
             `;
         }
     }
     
+    /**
+     * Show queued game announcements one at a time
+     * 
+     * Each message stays visible for announcementDuration before the next
+     * one is shown; the element fades out once the queue is empty.
+     */
+    updateAnnouncements() {
+        this.announcementQueue.push(...this.gameLogic.consumeAnnouncements());
+        
+        const now = performance.now();
+        if (now < this.announcementUntil) return;
+        
+        const announcement = this.announcementQueue.shift();
+        if (announcement) {
+            this.announcementElement.textContent = announcement.text;
+            this.announcementElement.className = `visible ${announcement.type}`;
+            this.announcementUntil = now + this.announcementDuration;
+        } else {
+            this.announcementElement.classList.remove('visible');
+        }
+    }
+    
     /**
      * Get comprehensive current game state
      * 
@@ -275,13 +610,17 @@ class AugmentedFoodNinja {
      */
     getGameState() {
         return {
+            mode: this.gameMode.name,
+            blade: this.bladePreset.name,
             score: this.gameLogic.getScore(),
             level: this.gameLogic.getLevel(),
+            lives: this.gameLogic.getLives(),
             combo: this.gameLogic.getCombo(),
             foodsSliced: this.gameLogic.getFoodsSliced(),
             gameTime: this.gameLogic.getGameTime(),
-            handsDetected: this.handDetector.getHandCount(),
-            handConfidence: this.handDetector.getAverageConfidence(),
+            handsDetected: this.handDetector ? this.handDetector.getHandCount() : 0,
+            handConfidence: this.handDetector ? this.handDetector.getAverageConfidence() : 0,
+            pointers: this.inputProvider.getPointers().length,
             collisionStats: this.collisionDetector.getCollisionStats()
         };
     }
@@ -290,22 +629,28 @@ class AugmentedFoodNinja {
      * Reset game to initial state
      * 
      * Clears all active food objects, resets scores and timers,
-     * and prepares for a fresh game session.
+     * and prepares for a fresh game session. Also used to restart after game over.
      */
     resetGame() {
+        if (!this.isInitialized) return;
+        
         // Remove all active food objects from scene
-        const foods = this.foodSpawner.getFoods();
-        foods.forEach(food => {
-            this.sceneManager.getScene().remove(food.mesh);
-        });
-        foods.length = 0; // Clear the array
+        this.foodSpawner.clearFoods();
         
-        // Reset game logic to initial state
-        this.gameLogic.reset();
+        // Reset game logic and spawner to the current mode's initial state
+        this.applyGameMode();
         
         // Reset collision detection state
-        this.collisionDetector.slicedFoods.clear();
-        this.collisionDetector.totalCollisions = 0;
+        this.collisionDetector.reset();
+        
+        // Drop announcements from the previous run
+        this.announcementQueue = [];
+        this.announcementUntil = 0;
+        this.announcementElement.classList.remove('visible');
+        
+        // Leave the results screen and resume play
+        this.hideResults();
+        this.gameState = 'playing';
     }
     
     /**
@@ -333,6 +678,7 @@ class AugmentedFoodNinja {
             collisionDetector: this.collisionDetector ? 'Ready' : 'Not Ready',
             fingerVisualizer: this.fingerVisualizer ? 'Ready' : 'Not Ready',
             gameState: this.gameState,
+            input: this.inputProvider ? this.inputProvider.providers.map(provider => provider.name).join(' + ') : 'Not Ready',
             totalFingertips: this.handDetector ? this.handDetector.getAllFingertips().length : 0
         };
     }
@@ -356,10 +702,21 @@ window.addEventListener('load', () => {
      * Keyboard shortcuts for game control
      * 
      * These shortcuts allow users to:
-     * - Reset the game state
+     * - Reset the game state (also restarts after game over)
      * - Toggle finger visualization
+     * - Cycle the blade preset (which fingers slice)
+     * - Calibrate hand depth at the current distance
+     * - Start a new run in a specific game mode (number keys)
      */
     window.addEventListener('keydown', (event) => {
+        // Number keys select game modes in definition order (1 = Endless, 2 = Arcade, ...)
+        const modeNames = Object.keys(GAME_MODES);
+        const modeIndex = parseInt(event.key, 10) - 1;
+        if (modeIndex >= 0 && modeIndex < modeNames.length) {
+            game.startGame(modeNames[modeIndex]);
+            return;
+        }
+        
         switch(event.key) {
             case 'r':
             case 'R':
@@ -371,6 +728,21 @@ window.addEventListener('load', () => {
                 // Toggle finger visualization on/off
                 game.toggleFingerVisualization();
                 break;
+            case 'b':
+            case 'B':
+                // Cycle blade fingers: index -> all fingers -> palm edge
+                game.cycleBladePreset();
+                break;
+            case 'c':
+            case 'C':
+                // Use the current hand distance as the play plane depth
+                game.calibrateDepth();
+                break;
+            case 'v':
+            case 'V':
+                // Start/stop recording hand tracking (saved as JSON for replays)
+                game.toggleRecording();
+                break;
         }
     });
 });
\ No newline at end of file
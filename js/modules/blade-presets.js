@@ -0,0 +1,68 @@
+/**
+ * Blade Presets
+ * 
+ * A blade preset selects which tracked hand points can slice. The hand
+ * detector always tracks all of them; the collision detector and finger
+ * visualizer only use the points named by the active preset. Presets let
+ * players with limited finger mobility slice with whatever part of the
+ * hand they can move comfortably.
+ * 
+ * Preset properties:
+ * - name: Identifier used for selection (keyboard shortcut, URL parameter)
+ * - label: Human readable name for the HUD
+ * - fingers: Point types that act as blades (see HandDetector.fingertipTypes);
+ *   every preset includes 'pointer', so mouse, touch and pen input always slices
+ */
+export const BLADE_PRESETS = {
+    /**
+     * Index finger only
+     * 
+     * The original precision control: one blade per hand, fewest
+     * accidental slices.
+     */
+    index: {
+        name: 'index',
+        label: 'Index finger',
+        fingers: ['index', 'pointer']
+    },
+    
+    /**
+     * All fingertips
+     * 
+     * Every fingertip slices, so any finger that reaches an item cuts it.
+     */
+    all: {
+        name: 'all',
+        label: 'All fingers',
+        fingers: ['thumb', 'index', 'middle', 'ring', 'pinky', 'pointer']
+    },
+    
+    /**
+     * Open-palm edge
+     * 
+     * A karate-chop style blade along the outer edge of the hand (pinky
+     * knuckle and pinky tip). Works without extending individual fingers.
+     */
+    palmEdge: {
+        name: 'palmEdge',
+        label: 'Palm edge',
+        fingers: ['palmEdge', 'pinky', 'pointer']
+    }
+};
+
+/**
+ * Default preset used when no valid preset is selected
+ */
+export const DEFAULT_BLADE_PRESET = 'index';
+
+/**
+ * Look up a blade preset by name
+ * 
+ * Falls back to the default preset for unknown names.
+ * 
+ * @param {string} name - Preset name (e.g., 'all')
+ * @returns {Object} Blade preset definition
+ */
+export function getBladePreset(name) {
+    return Object.hasOwn(BLADE_PRESETS, name) ? BLADE_PRESETS[name] : BLADE_PRESETS[DEFAULT_BLADE_PRESET];
+}
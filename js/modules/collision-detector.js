@@ -3,30 +3,33 @@ import * as THREE from 'three';
 /**
  * Collision Detector Class
  * 
- * Advanced collision detection system that bridges hand tracking and game mechanics.
+ * Advanced collision detection system that bridges input (hand tracking, mouse or touch) and game mechanics.
  * This class implements precise 3D collision detection between finger positions and
  * food objects, with velocity-based slice recognition and visual feedback integration.
  * 
  * Key responsibilities:
- * - Detect 3D collisions between fingertips and food bounding boxes
+ * - Detect 3D collisions between fingertip swipe segments and food collision volumes
  * - Implement velocity-based slicing mechanics for realistic interaction
+ * - Analyze each hit's swipe direction, cut angle and entry/exit points
  * - Manage collision cooldowns to prevent duplicate slice events
+ * - Group slices into per-fingertip strokes for multi-slice bonuses
+ * - Only let the fingers of the active blade preset slice
+ * - Optionally require the hand to be at the food's depth (depth mode)
  * - Coordinate with game logic for scoring and progression
  * - Trigger visual effects through finger visualizer integration
- * - Provide performance optimization through bounding box caching
  * - Track comprehensive collision statistics for debugging and analytics
  */
 export class CollisionDetector {
     /**
      * Constructor for CollisionDetector
      * 
-     * @param {HandDetector} handDetector - Hand tracking system providing fingertip data
+     * @param {InputProvider} inputProvider - Input providing fingertip-like pointers (see input-provider.js)
      * @param {FoodSpawner} foodSpawner - Food management system providing active food objects
      * @param {GameLogic} gameLogic - Game mechanics system for scoring and progression
      * @param {FingerVisualizer} fingerVisualizer - Visual effects system for slice feedback
      */
-    constructor(handDetector, foodSpawner, gameLogic, fingerVisualizer = null) {
-        this.handDetector = handDetector;
+    constructor(inputProvider, foodSpawner, gameLogic, fingerVisualizer = null) {
+        this.inputProvider = inputProvider;
         this.foodSpawner = foodSpawner;
         this.gameLogic = gameLogic;
         this.fingerVisualizer = fingerVisualizer;   // Optional visual effects integration
@@ -41,11 +44,49 @@ export class CollisionDetector {
         this.velocityThreshold = 0;         // Minimum velocity for slice recognition (lowered for accessibility)
         this.slicedFoods = new Map();       // Tracks recently sliced foods with timestamps
         this.collisionCooldown = 200;       // Milliseconds between collisions on same food
+        this.bladeFingers = ['index', 'pointer'];   // Fingertip types that can slice (set from the blade preset)
+        
+        /**
+         * Swept collision parameters
+         * 
+         * Each fingertip is tested as the segment it travelled since the last
+         * detection, so fast swipes cannot jump over a food between frames.
+         * Longer segments are treated as tracking jumps (e.g. a hand re-detected
+         * elsewhere) and only the current point is tested.
+         */
+        this.maxSweepLength = 3;            // Maximum segment length in world units
+        this.usePrediction = true;          // Extend the segment to the predicted fingertip position
+        
+        /**
+         * Depth mode
+         * 
+         * Off: swipes are tested at each food's own depth, so anything that
+         * looks hit on screen is hit. On: the estimated hand depth counts,
+         * and the hand has to actually reach the food's distance.
+         */
+        this.depthMode = false;
+        
+        /**
+         * Stroke tracking parameters
+         * 
+         * A stroke is one continuous swipe of a single fingertip. It starts when
+         * the fingertip speeds up past strokeStartSpeed and only ends once it
+         * slows below the lower strokeEndSpeed, so small speed dips in the middle
+         * of a swipe do not split it in two. Likewise a fingertip missing from
+         * tracking for a moment (a dropped detection) keeps its stroke.
+         */
+        this.strokeStartSpeed = 4.0;        // Speed that starts a stroke (units per second)
+        this.strokeEndSpeed = 2.0;          // Speed below which a stroke ends (units per second)
+        this.strokeGraceTime = 300;         // Milliseconds a stroke survives an untracked fingertip (as HandTracker.maxMissedTime)
+        this.activeStrokes = new Map();     // Fingertip id -> { startTime, lastSeen, slices }
         
         // Visual feedback system
         this.recentSlices = [];             // Recent slice positions for effect spawning
         this.maxRecentSlices = 10;          // Maximum stored slice positions
         
+        // Time of the current update; cooldowns, strokes and scoring all use it
+        this.currentTime = 0;
+        
         /**
          * Debug and analytics tracking
          * 
@@ -58,15 +99,6 @@ export class CollisionDetector {
         this.lastCollisionInfo = null;
         this.totalCollisions = 0;
         this.collisionsByFingertip = new Map();
-        
-        /**
-         * Performance optimization system
-         * 
-         * Bounding box caching reduces computational overhead by storing
-         * calculated collision volumes and reusing them across frames.
-         */
-        this.boundingBoxCache = new Map();
-        this.cacheTimeout = 100;            // Milliseconds to cache bounding boxes
     }
     
     /**
@@ -74,25 +106,33 @@ export class CollisionDetector {
      * 
      * Called every frame to check for collisions between all fingertips and food objects.
      * Implements early exit strategies for performance and handles collision state management.
+     * 
+     * @param {number} time - Time of this update in milliseconds (defaults to now; tests pass the frame time)
      */
-    update() {
-        // Skip processing if no hands are detected
-        if (!this.handDetector.hasHands()) {
+    update(time = performance.now()) {
+        this.currentTime = time;
+        
+        // Skip processing if no hands or pointers are active
+        if (!this.inputProvider.hasPointers()) {
             this.clearCollisionStatus();
+            this.updateStrokes([]);
             return;
         }
         
-        // Get current fingertips and active food objects
-        const fingertips = this.handDetector.getAllFingertips();
+        // Get current blade fingertips and active food objects
+        const fingertips = this.inputProvider.getPointers()
+            .filter(fingertip => this.bladeFingers.includes(fingertip.type));
         const foods = this.foodSpawner.getFoods();
         
+        // Start and finish strokes before slices are added to them
+        this.updateStrokes(fingertips);
+        
         // Perform collision detection between fingertips and foods
         this.checkCollisions(fingertips, foods);
         
         // Maintain system cleanliness and performance
         this.cleanupSlicedFoods();
         this.cleanupRecentSlices();
-        this.cleanupBoundingBoxCache();
     }
     
     /**
@@ -100,7 +140,7 @@ export class CollisionDetector {
      * 
      * Implements comprehensive collision detection with:
      * - Cooldown period management for recently sliced foods
-     * - Bounding box collision testing for efficiency
+     * - Swept segment vs. collision volume testing, so fast swipes do not tunnel
      * - Velocity-based slice validation for realistic interaction
      * 
      * @param {Array} fingertips - Array of active fingertip positions and data
@@ -117,12 +157,12 @@ export class CollisionDetector {
              * and prevents rapid duplicate slice events from single gesture.
              */
             const sliceData = this.slicedFoods.get(food.mesh.uuid);
-            if (sliceData && (performance.now() - sliceData.time) < this.collisionCooldown) {
+            if (sliceData && (this.currentTime - sliceData.time) < this.collisionCooldown) {
                 continue;
             }
             
-            // Get optimized bounding box for this food object
-            const boundingBox = this.getFoodBoundingBox(food);
+            // Collision volumes follow the mesh, so its world matrix must be current
+            food.mesh.updateWorldMatrix(false, false);
             
             /**
              * Test each fingertip against current food object
@@ -131,7 +171,8 @@ export class CollisionDetector {
              * fingertips from slicing the same food simultaneously.
              */
             for (const fingertip of fingertips) {
-                if (this.isPointInBoundingBox(fingertip.position, boundingBox)) {
+                const contactPoint = this.intersectSwipe(fingertip, food);
+                if (contactPoint) {
                     collisionDetected = true;
                     
                     /**
@@ -142,7 +183,7 @@ export class CollisionDetector {
                      * - Low velocity: Hovering/positioning (collision without slice)
                      */
                     if (fingertip.velocity >= this.velocityThreshold) {
-                        this.handleFoodSlice(food, fingertip);
+                        this.handleFoodSlice(food, fingertip, contactPoint);
                         break; // Food is sliced, stop checking other fingertips
                     } else {
                         // Update collision status for touch without slice
@@ -159,89 +200,80 @@ export class CollisionDetector {
     }
     
     /**
-     * Get or calculate food object bounding box with caching
+     * Start and end strokes from the current fingertip speeds
      * 
-     * Implements performance optimization by caching calculated bounding boxes
-     * and reusing them for multiple frames. This reduces computational overhead
-     * for complex 3D models with many vertices.
+     * Fingertips that are no longer tracked end their stroke as well, once
+     * they have been missing for longer than the grace time.
      * 
-     * @param {Object} food - Food object with mesh and type information
-     * @returns {THREE.Box3} Bounding box for collision detection
+     * @param {Array} fingertips - Array of active fingertip data
      */
-    getFoodBoundingBox(food) {
-        const foodId = food.mesh.uuid;
-        const currentTime = performance.now();
-        
-        // Check cache for recent bounding box calculation
-        const cached = this.boundingBoxCache.get(foodId);
-        if (cached && (currentTime - cached.time) < this.cacheTimeout) {
-            return cached.boundingBox;
-        }
-        
-        /**
-         * Calculate new bounding box from mesh geometry
-         * 
-         * Three.js Box3.setFromObject() calculates tight bounding box
-         * around all mesh vertices in world coordinates.
-         */
-        const box = new THREE.Box3().setFromObject(food.mesh);
-
-        /**
-         * Expand bounding box for easier interaction
-         * 
-         * Slight expansion makes collision detection more forgiving,
-         * accounting for hand tracking accuracy and improving user experience.
-         */
-        const expansion = this.getFoodExpansion(food.type);
-        box.expandByScalar(expansion);
+    updateStrokes(fingertips) {
+        const currentIds = new Set();
         
-        // Cache the calculated bounding box for future frames
-        this.boundingBoxCache.set(foodId, {
-            boundingBox: box,
-            time: currentTime
-        });
+        for (const fingertip of fingertips) {
+            currentIds.add(fingertip.id);
+            const stroke = this.activeStrokes.get(fingertip.id);
+            
+            if (!stroke && fingertip.velocity >= this.strokeStartSpeed) {
+                this.activeStrokes.set(fingertip.id, { startTime: this.currentTime, lastSeen: this.currentTime, slices: [] });
+            } else if (stroke && fingertip.velocity < this.strokeEndSpeed) {
+                this.endStroke(fingertip.id);
+            } else if (stroke) {
+                stroke.lastSeen = this.currentTime;
+            }
+        }
         
-        return box;
+        for (const [id, stroke] of this.activeStrokes) {
+            if (!currentIds.has(id) && this.currentTime - stroke.lastSeen > this.strokeGraceTime) {
+                this.endStroke(id);
+            }
+        }
     }
     
     /**
-     * Get food-specific bounding box expansion values
-     * 
-     * Different food types have different expansion values based on:
-     * - Model complexity and collision accuracy needs
-     * - Visual size and user expectations
-     * - Game balance considerations (harder vs easier targets)
+     * Finish a fingertip's stroke and hand its slice count to game logic
      * 
-     * @param {string} foodType - Type of food object
-     * @returns {number} Expansion value for bounding box
+     * @param {string} id - Fingertip identifier
      */
-    getFoodExpansion(foodType) {
-        const expansions = {
-            'apple': 0.1,           // Minimal expansion for precise slicing
-            'apple_red': 0.01,      // Very tight collision for small apple
-            'banana': 0.4,          // Generous expansion for elongated shape
-            'peach': 0.4,           // Similar to banana for consistency
-            'donut': 0.4,           // Medium expansion for torus shape
-            'burger': 0.3,          // Moderate expansion for layered model
-            'plate': 0.25           // Smaller expansion for bonus item
-        };
+    endStroke(id) {
+        const stroke = this.activeStrokes.get(id);
+        if (!stroke) return;
         
-        return expansions[foodType] || 0.3; // Default expansion if type not found
+        this.activeStrokes.delete(id);
+        if (stroke.slices.length > 0) {
+            this.gameLogic.registerStroke(stroke.slices.length);
+        }
     }
     
     /**
-     * Test if a point is inside a bounding box
-     * 
-     * Simple and efficient point-in-box test using Three.js built-in method.
-     * This is the core collision detection test that determines if a fingertip
-     * is touching a food object.
-     * 
-     * @param {THREE.Vector3} point - Point to test (fingertip position)
-     * @param {THREE.Box3} boundingBox - Bounding box to test against
-     * @returns {boolean} True if point is inside bounding box
+     * Test a fingertip's swipe segment against a food's collision volume
+     * 
+     * The segment runs from the fingertip's previous position to its current
+     * position, or to its predicted position when prediction is used (the
+     * detected position already lags behind the real finger).
+     * Without a usable previous position this falls back to a
+     * point-in-volume test. The volume is padded by the food type's tolerance.
+     * Outside depth mode the segment is first moved to the food's depth.
+     * 
+     * @param {Object} fingertip - Fingertip with position and previousPosition
+     * @param {Object} food - Food object with mesh, collisionVolume and collisionTolerance
+     * @returns {THREE.Vector3|null} Point where the swipe entered the volume, or null if missed
      */
-    isPointInBoundingBox(point, boundingBox) {
-        return boundingBox.containsPoint(point);
+    intersectSwipe(fingertip, food) {
+        let start = fingertip.previousPosition;
+        let end = (this.usePrediction && fingertip.predictedPosition) || fingertip.position;
+        const volume = food.collisionVolume;
+        
+        if (!this.depthMode) {
+            end = end.clone().setZ(food.mesh.position.z);
+            start = start && start.clone().setZ(food.mesh.position.z);
+        }
+        
+        if (!start || start.distanceTo(end) > this.maxSweepLength) {
+            return volume.containsPoint(end, food.mesh.matrixWorld, food.collisionTolerance) ? end.clone() : null;
+        }
+        
+        return volume.intersectSegment(start, end, food.mesh.matrixWorld, food.collisionTolerance);
     }
     
     /**
@@ -250,15 +282,17 @@ export class CollisionDetector {
      * Processes a confirmed slice by:
      * 1. Marking food as sliced to prevent duplicates
      * 2. Updating collision tracking and statistics
-     * 3. Removing food from scene and spawner
-     * 4. Updating game logic with score
-     * 5. Triggering visual effects
+     * 3. Analyzing the swipe (direction, angle, entry/exit, center offset)
+     * 4. Cutting the food along the swipe and removing it from the spawner
+     * 5. Updating game logic with score
+     * 6. Triggering directional visual effects
      * 
      * @param {Object} food - Food object that was sliced
      * @param {Object} fingertip - Fingertip that performed the slice
+     * @param {THREE.Vector3} contactPoint - Point where the swipe hit the food
      */
-    handleFoodSlice(food, fingertip) {
-        const currentTime = performance.now();
+    handleFoodSlice(food, fingertip, contactPoint = fingertip.position) {
+        const currentTime = this.currentTime;
         
         /**
          * Mark food as sliced with comprehensive tracking data
@@ -274,6 +308,12 @@ export class CollisionDetector {
         // Update collision status for successful slice
         this.updateCollisionStatus(food, fingertip, true);
         
+        // Hazards follow a separate penalty path instead of scoring
+        if (food.category === 'hazard') {
+            this.handleHazardHit(food, fingertip);
+            return;
+        }
+        
         /**
          * Update collision statistics for analytics
          * 
@@ -287,19 +327,14 @@ export class CollisionDetector {
         );
         
         /**
-         * Remove food from game scene and tracking
+         * Cut food into two pieces and remove it from tracking
          * 
-         * Safely removes the food object from both visual scene and
-         * spawner's tracking array to prevent memory leaks.
+         * The spawner replaces the food with two physics pieces split along
+         * the slice plane, so it no longer takes part in collisions or misses.
          */
-        const foodIndex = this.foodSpawner.getFoods().indexOf(food);
-        if (foodIndex !== -1) {
-            // Remove visual mesh from Three.js scene
-            this.foodSpawner.sceneManager.getScene().remove(food.mesh);
-            
-            // Remove from spawner's tracking array
-            this.foodSpawner.getFoods().splice(foodIndex, 1);
-            
+        const slice = this.analyzeSlice(fingertip, food, contactPoint);
+        const slicePlane = this.createSlicePlane(slice, food);
+        if (this.foodSpawner.sliceFood(food, slicePlane)) {
             /**
              * Update game logic with scoring information
              * 
@@ -308,16 +343,153 @@ export class CollisionDetector {
              * - Level multipliers
              * - Combo bonuses
              */
-            const sliceResult = this.gameLogic.sliceFood(food.type, food.category);
+            const sliceResult = this.gameLogic.sliceFood(food.type, food.category, slice, this.currentTime);
+            
+            // Count the slice towards the fingertip's current stroke
+            const stroke = this.activeStrokes.get(fingertip.id);
+            if (stroke) {
+                stroke.slices.push(food.type);
+            }
             
             // Store slice position for visual effects
-            this.addRecentSlice(fingertip.position.clone(), food.type, sliceResult.points);
+            this.addRecentSlice(contactPoint.clone(), food.type, sliceResult.points);
             
             // Trigger visual effects if finger visualizer is available
-            this.spawnSliceEffects(fingertip.position, food.type, sliceResult);
+            this.spawnSliceEffects(slice, food.type, sliceResult);
             
             // Log successful slice for debugging
-            console.log(`Sliced ${food.type} with ${fingertip.type} finger (${fingertip.velocity.toFixed(2)} vel)! +${sliceResult.points} points`);
+            console.log(`Sliced ${food.type} with ${fingertip.type} finger (${fingertip.velocity.toFixed(2)} vel, ${slice.angle.toFixed(0)}°)! +${sliceResult.points} points`);
+        }
+    }
+    
+    /**
+     * Work out where the player actually swiped through a food
+     * 
+     * Uses the fingertip's velocity vector and recent path to find the swipe
+     * direction on screen, then measures the cut against the food's
+     * collision volume:
+     * - entryPoint: where the swipe entered the volume
+     * - exitPoint: where the swipe line leaves the volume on the far side
+     * - angle: swipe direction in degrees (0 = left to right, 90 = upward)
+     * - centerOffset: distance of the cut line from the food's center,
+     *   0 (straight through the middle) to 1 (grazing the edge)
+     * 
+     * @param {Object} fingertip - Fingertip that performed the slice
+     * @param {Object} food - Food object being sliced
+     * @param {THREE.Vector3} contactPoint - Point where the swipe hit the food
+     * @returns {Object} Slice analysis { direction, angle, entryPoint, exitPoint, centerOffset, speed }
+     */
+    analyzeSlice(fingertip, food, contactPoint) {
+        const direction = this.getSwipeDirection(fingertip);
+        const angle = THREE.MathUtils.radToDeg(Math.atan2(direction.y, direction.x));
+        const volume = food.collisionVolume;
+        const reach = volume.boundingRadius + food.collisionTolerance;
+        
+        /**
+         * Exit point
+         * 
+         * Probe backwards along the swipe line from beyond the food: the first
+         * point inside the volume from that side is where the cut comes out.
+         */
+        const probeStart = contactPoint.clone().addScaledVector(direction, reach * 2);
+        const exitPoint = volume.intersectSegment(probeStart, contactPoint, food.mesh.matrixWorld, food.collisionTolerance)
+            || contactPoint.clone();
+        
+        // Distance from the food's center to the cut line, in screen space
+        const toCenter = new THREE.Vector3().subVectors(food.mesh.position, contactPoint).setZ(0);
+        const lineDistance = toCenter.addScaledVector(direction, -toCenter.dot(direction)).length();
+        const centerOffset = Math.min(1, lineDistance / reach);
+        
+        return {
+            direction: direction,
+            angle: angle,
+            entryPoint: contactPoint.clone(),
+            exitPoint: exitPoint,
+            centerOffset: centerOffset,
+            speed: fingertip.velocity
+        };
+    }
+    
+    /**
+     * Get the on-screen direction of a fingertip's swipe
+     * 
+     * Prefers the smoothed velocity vector (direction right at the food),
+     * then the recent path, then the last step. Without any usable motion
+     * (first frame of a fingertip) a left-to-right swipe is assumed.
+     * 
+     * @param {Object} fingertip - Fingertip with velocityVector, path and previousPosition
+     * @returns {THREE.Vector3} Unit direction in the XY plane
+     */
+    getSwipeDirection(fingertip) {
+        const candidates = [];
+        
+        if (fingertip.velocityVector) {
+            candidates.push(fingertip.velocityVector.clone());
+        }
+        if (fingertip.path && fingertip.path.length > 1) {
+            const path = fingertip.path;
+            candidates.push(new THREE.Vector3().subVectors(path[path.length - 1].position, path[0].position));
+        }
+        if (fingertip.previousPosition) {
+            candidates.push(new THREE.Vector3().subVectors(fingertip.position, fingertip.previousPosition));
+        }
+        
+        for (const candidate of candidates) {
+            candidate.z = 0;    // Only the on-screen direction of the swipe matters
+            if (candidate.lengthSq() > 1e-6) {
+                return candidate.normalize();
+            }
+        }
+        
+        return new THREE.Vector3(1, 0, 0);
+    }
+    
+    /**
+     * Build the cutting plane for a slice
+     * 
+     * The plane contains the swipe direction and the camera's viewing
+     * direction, so the cut follows the swipe as seen on screen.
+     * 
+     * @param {Object} slice - Slice analysis from analyzeSlice()
+     * @param {Object} food - Food object being sliced
+     * @returns {THREE.Plane} Cutting plane in world coordinates
+     */
+    createSlicePlane(slice, food) {
+        const viewDirection = new THREE.Vector3(0, 0, 1);
+        const normal = new THREE.Vector3().crossVectors(slice.direction, viewDirection).normalize();
+        
+        // Pass through the entry point, at the food's depth
+        const point = new THREE.Vector3(slice.entryPoint.x, slice.entryPoint.y, food.mesh.position.z);
+        return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+    }
+    
+    /**
+     * Handle a sliced hazard (bomb)
+     * 
+     * Removes the hazard, lets game logic apply the life and score penalty
+     * (which also breaks the combo) and triggers the explosion effect.
+     * 
+     * @param {Object} food - Hazard object that was sliced
+     * @param {Object} fingertip - Fingertip that performed the slice
+     */
+    handleHazardHit(food, fingertip) {
+        this.totalCollisions++;
+        
+        // A bomb spoils the stroke, so no multi-slice bonus for it
+        const stroke = this.activeStrokes.get(fingertip.id);
+        if (stroke) {
+            stroke.slices = [];
+        }
+        
+        if (this.foodSpawner.removeFood(food)) {
+            const hazardResult = this.gameLogic.hitHazard(food.type);
+            
+            // Explosion effect instead of the regular slice particles
+            if (this.fingerVisualizer) {
+                this.fingerVisualizer.createExplosionEffect(food.mesh.position.clone());
+            }
+            
+            console.log(`Hit ${food.type} with ${fingertip.type} finger! -${hazardResult.penalty} points`);
         }
     }
     
@@ -332,7 +504,7 @@ export class CollisionDetector {
      * @param {boolean} wasSliced - Whether the collision resulted in a slice
      */
     updateCollisionStatus(food, fingertip, wasSliced) {
-        this.lastCollisionTime = performance.now();
+        this.lastCollisionTime = this.currentTime;
         this.lastCollisionInfo = {
             foodType: food.type,
             fingertipType: fingertip.type,
@@ -358,7 +530,7 @@ export class CollisionDetector {
             position: position,
             foodType: foodType,
             points: points,
-            time: performance.now()
+            time: this.currentTime
         });
         
         // Maintain maximum slice history to prevent memory growth
@@ -374,14 +546,18 @@ export class CollisionDetector {
      * other visual feedback for successful slices. Enhances game feel
      * and provides clear feedback to players.
      * 
-     * @param {THREE.Vector3} position - World position for effect spawn
+     * @param {Object} slice - Slice analysis (entry/exit points and swipe direction)
      * @param {string} foodType - Type of food sliced (affects effect style)
      * @param {Object} sliceResult - Comprehensive slice data from game logic
      */
-    spawnSliceEffects(position, foodType, sliceResult) {
+    spawnSliceEffects(slice, foodType, sliceResult) {
+        // Effects sit in the middle of the cut and follow the swipe direction
+        const position = slice.entryPoint.clone().lerp(slice.exitPoint, 0.5);
+        
         // Create particle effects using finger visualizer if available
         if (this.fingerVisualizer) {
-            this.fingerVisualizer.createSliceEffect(position, foodType);
+            this.fingerVisualizer.createSliceEffect(position, foodType, slice.direction);
+            this.fingerVisualizer.createSlashEffect(slice.entryPoint, slice.exitPoint, sliceResult.cleanCut);
         }
         
         // Special logging for combo effects
@@ -398,7 +574,7 @@ export class CollisionDetector {
      * system cleanliness.
      */
     cleanupSlicedFoods() {
-        const currentTime = performance.now();
+        const currentTime = this.currentTime;
         const toRemove = [];
         
         for (const [foodUuid, sliceData] of this.slicedFoods) {
@@ -417,7 +593,7 @@ export class CollisionDetector {
      * maintaining recent data for visual effects.
      */
     cleanupRecentSlices() {
-        const currentTime = performance.now();
+        const currentTime = this.currentTime;
         const sliceLifetime = 2000; // 2 seconds retention for effects
         
         this.recentSlices = this.recentSlices.filter(
@@ -425,25 +601,6 @@ export class CollisionDetector {
         );
     }
     
-    /**
-     * Clean up expired bounding box cache entries
-     * 
-     * Removes old cached bounding boxes to prevent memory leaks while
-     * maintaining performance benefits of caching.
-     */
-    cleanupBoundingBoxCache() {
-        const currentTime = performance.now();
-        const toRemove = [];
-        
-        for (const [foodId, cached] of this.boundingBoxCache) {
-            if (currentTime - cached.time > this.cacheTimeout) {
-                toRemove.push(foodId);
-            }
-        }
-        
-        toRemove.forEach(id => this.boundingBoxCache.delete(id));
-    }
-    
     /**
      * Clear collision status with timeout
      * 
@@ -453,11 +610,24 @@ export class CollisionDetector {
     clearCollisionStatus() {
         // Keep status visible for brief period for smooth UI transitions
         if (this.lastCollisionInfo && 
-            (performance.now() - this.lastCollisionTime) > 300) {
+            (this.currentTime - this.lastCollisionTime) > 300) {
             this.lastCollisionInfo = null;
         }
     }
     
+    /**
+     * Reset collision tracking for a new run
+     * 
+     * Clears slice cooldowns, active strokes and per-run statistics.
+     */
+    reset() {
+        this.slicedFoods.clear();
+        this.recentSlices = [];
+        this.activeStrokes.clear();
+        this.totalCollisions = 0;
+        this.lastCollisionInfo = null;
+    }
+    
     /**
      * Set collision velocity threshold for debugging/tuning
      * 
@@ -471,6 +641,27 @@ export class CollisionDetector {
         console.log(`Velocity threshold set to: ${this.velocityThreshold}`);
     }
     
+    /**
+     * Select which fingertip types can slice
+     * 
+     * Strokes of fingers that stop being blades end once the stroke grace time has passed.
+     * 
+     * @param {Array} fingers - Fingertip types from the blade preset (e.g., ['index'])
+     */
+    setBladeFingers(fingers) {
+        this.bladeFingers = [...fingers];
+        console.log(`Blade fingers set to: ${this.bladeFingers.join(', ')}`);
+    }
+    
+    /**
+     * Enable or disable depth mode
+     * 
+     * @param {boolean} enabled - Whether the hand must be at the food's depth to slice it
+     */
+    setDepthMode(enabled) {
+        this.depthMode = enabled;
+    }
+    
     /**
      * Get comprehensive collision statistics
      * 
@@ -487,8 +678,7 @@ export class CollisionDetector {
             slicedFoodsCount: this.slicedFoods.size,
             velocityThreshold: this.velocityThreshold,
             recentSlicesCount: this.recentSlices.length,
-            collisionsByFingertip: Object.fromEntries(this.collisionsByFingertip),
-            cacheSize: this.boundingBoxCache.size
+            collisionsByFingertip: Object.fromEntries(this.collisionsByFingertip)
         };
     }
     
@@ -503,7 +693,7 @@ export class CollisionDetector {
     getCollisionStatus() {
         if (!this.lastCollisionInfo) return "None";
         
-        const timeSinceCollision = performance.now() - this.lastCollisionTime;
+        const timeSinceCollision = this.currentTime - this.lastCollisionTime;
         if (timeSinceCollision < 500) {
             const info = this.lastCollisionInfo;
             const sliceIndicator = info.wasSliced ? "SLICED" : "TOUCH";
@@ -534,7 +724,6 @@ export class CollisionDetector {
      */
     getPerformanceInfo() {
         return {
-            boundingBoxCacheSize: this.boundingBoxCache.size,
             slicedFoodsTracked: this.slicedFoods.size,
             recentSlicesTracked: this.recentSlices.length,
             avgCollisionsPerSecond: this.totalCollisions / (performance.now() / 1000)
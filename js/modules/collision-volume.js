@@ -0,0 +1,218 @@
+import * as THREE from 'three';
+
+/**
+ * Collision Volume Class
+ * 
+ * Describes the hit volume of a food model in the model's own (pivot) space,
+ * so the volume rotates and moves with the mesh instead of being re-fitted
+ * as a world-axis box every frame. Volumes are built once per model at load
+ * time and shared by all spawned instances.
+ * 
+ * Supported volume types:
+ * - 'box': Oriented box fitted to the visible geometry (compact, boxy or round items)
+ * - 'spheres': Chain of spheres along the model's longest axis (long or curved
+ *   items such as the banana, where a box would cover a lot of empty space)
+ * 
+ * All tests take a tolerance in world units that inflates the volume, to make
+ * up for hand tracking inaccuracy.
+ */
+export class CollisionVolume {
+    /**
+     * Constructor for CollisionVolume
+     * 
+     * @param {THREE.Object3D} object - Model root (pivot) the volume is built for
+     * @param {string} type - Volume type: 'box' or 'spheres'
+     * @param {number} sphereCount - Number of spheres for the 'spheres' type
+     */
+    constructor(object, type = 'box', sphereCount = 7) {
+        this.type = type;
+        this.box = null;                // Oriented box in object space ('box' type)
+        this.spheres = [];              // { center, radius } in object space ('spheres' type)
+        this.boundingRadius = 0;        // Distance of the farthest vertex from the object origin
+        
+        // Reused for world <-> object space conversion
+        this.inverseMatrix = new THREE.Matrix4();
+        this.ray = new THREE.Ray();
+        
+        const vertices = this.collectVertices(object);
+        this.boundingRadius = Math.sqrt(vertices.reduce((max, vertex) => Math.max(max, vertex.lengthSq()), 0));
+        
+        if (type === 'spheres') {
+            this.spheres = this.fitSphereChain(vertices, sphereCount);
+        } else {
+            this.box = new THREE.Box3().setFromPoints(vertices);
+        }
+    }
+    
+    /**
+     * Collect all visible vertex positions in the object's space
+     * 
+     * Hidden meshes (for example authored cut pieces) are ignored.
+     * 
+     * @param {THREE.Object3D} object - Model root
+     * @returns {Array} Vertex positions relative to the object
+     */
+    collectVertices(object) {
+        const vertices = [];
+        
+        object.updateWorldMatrix(true, true);
+        const worldToObject = object.matrixWorld.clone().invert();
+        
+        object.traverseVisible((child) => {
+            if (!child.isMesh || !child.geometry.attributes.position) return;
+            
+            const toObject = worldToObject.clone().multiply(child.matrixWorld);
+            const position = child.geometry.attributes.position;
+            
+            for (let i = 0; i < position.count; i++) {
+                vertices.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(toObject));
+            }
+        });
+        
+        return vertices;
+    }
+    
+    /**
+     * Fit a chain of spheres to a point set
+     * 
+     * Starts from equal slabs along the longest axis and refines the groups
+     * with a few k-means passes, so spheres also follow parts that bend away
+     * from the axis (like a banana's stem). Each sphere is centered on its
+     * group and just large enough to contain it.
+     * 
+     * @param {Array} vertices - Points in object space
+     * @param {number} count - Number of spheres
+     * @param {number} iterations - Number of k-means refinement passes
+     * @returns {Array} Spheres as { center, radius }
+     */
+    fitSphereChain(vertices, count, iterations = 8) {
+        const bounds = new THREE.Box3().setFromPoints(vertices);
+        const size = bounds.getSize(new THREE.Vector3());
+        
+        // Longest axis of the model
+        const axis = size.x >= size.y && size.x >= size.z ? 'x' : (size.y >= size.z ? 'y' : 'z');
+        const slabLength = size[axis] / count;
+        
+        // Initial grouping: equal slabs along the longest axis
+        let groups = Array.from({ length: count }, () => []);
+        for (const vertex of vertices) {
+            const index = Math.min(count - 1, Math.floor((vertex[axis] - bounds.min[axis]) / slabLength));
+            groups[index].push(vertex);
+        }
+        
+        groups = groups.filter(group => group.length > 0);
+        let centers = this.computeCentroids(groups);
+        
+        // Refine: assign every point to its nearest center, then recenter
+        for (let pass = 0; pass < iterations; pass++) {
+            groups = centers.map(() => []);
+            for (const vertex of vertices) {
+                let nearest = 0;
+                for (let i = 1; i < centers.length; i++) {
+                    if (centers[i].distanceToSquared(vertex) < centers[nearest].distanceToSquared(vertex)) {
+                        nearest = i;
+                    }
+                }
+                groups[nearest].push(vertex);
+            }
+            centers = this.computeCentroids(groups);
+            groups = groups.filter(group => group.length > 0);
+        }
+        
+        return groups.map((points, i) => ({
+            center: centers[i],
+            radius: Math.sqrt(points.reduce((max, point) => Math.max(max, centers[i].distanceToSquared(point)), 0))
+        }));
+    }
+    
+    /**
+     * Compute the centroid of every non-empty point group
+     * 
+     * @param {Array} groups - Arrays of points
+     * @returns {Array} Centroids of the non-empty groups, in order
+     */
+    computeCentroids(groups) {
+        return groups
+            .filter(group => group.length > 0)
+            .map(group => {
+                const center = new THREE.Vector3();
+                group.forEach(point => center.add(point));
+                return center.divideScalar(group.length);
+            });
+    }
+    
+    /**
+     * Test whether a world point is inside the volume
+     * 
+     * @param {THREE.Vector3} point - Point in world space
+     * @param {THREE.Matrix4} matrixWorld - Current world matrix of the model root
+     * @param {number} tolerance - Inflation of the volume in world units
+     * @returns {boolean} True if the point is inside
+     */
+    containsPoint(point, matrixWorld, tolerance = 0) {
+        this.inverseMatrix.copy(matrixWorld).invert();
+        const localPoint = point.clone().applyMatrix4(this.inverseMatrix);
+        
+        if (this.type === 'spheres') {
+            return this.spheres.some(sphere => {
+                const radius = sphere.radius + tolerance;
+                return sphere.center.distanceToSquared(localPoint) <= radius * radius;
+            });
+        }
+        
+        return this.box.clone().expandByScalar(tolerance).containsPoint(localPoint);
+    }
+    
+    /**
+     * Intersect a world-space segment with the volume
+     * 
+     * The segment is transformed into object space (model roots are not
+     * scaled, so distances and the tolerance are preserved) and tested
+     * against the volume's primitives.
+     * 
+     * @param {THREE.Vector3} start - Segment start in world space
+     * @param {THREE.Vector3} end - Segment end in world space
+     * @param {THREE.Matrix4} matrixWorld - Current world matrix of the model root
+     * @param {number} tolerance - Inflation of the volume in world units
+     * @returns {THREE.Vector3|null} First point on the segment inside the volume (world space), or null
+     */
+    intersectSegment(start, end, matrixWorld, tolerance = 0) {
+        this.inverseMatrix.copy(matrixWorld).invert();
+        const localStart = start.clone().applyMatrix4(this.inverseMatrix);
+        const localEnd = end.clone().applyMatrix4(this.inverseMatrix);
+        
+        const length = localStart.distanceTo(localEnd);
+        if (length === 0) {
+            return this.containsPoint(start, matrixWorld, tolerance) ? start.clone() : null;
+        }
+        
+        this.ray.origin.copy(localStart);
+        this.ray.direction.subVectors(localEnd, localStart).divideScalar(length);
+        
+        let hitDistance = Infinity;
+        const hitPoint = new THREE.Vector3();
+        
+        if (this.type === 'spheres') {
+            // Earliest hit over all spheres (a start inside a sphere hits at distance 0)
+            for (const sphere of this.spheres) {
+                const inflated = new THREE.Sphere(sphere.center, sphere.radius + tolerance);
+                const distance = inflated.containsPoint(localStart)
+                    ? 0
+                    : (this.ray.intersectSphere(inflated, hitPoint) ? localStart.distanceTo(hitPoint) : Infinity);
+                hitDistance = Math.min(hitDistance, distance);
+            }
+        } else {
+            const inflated = this.box.clone().expandByScalar(tolerance);
+            if (inflated.containsPoint(localStart)) {
+                hitDistance = 0;
+            } else if (this.ray.intersectBox(inflated, hitPoint)) {
+                hitDistance = localStart.distanceTo(hitPoint);
+            }
+        }
+        
+        // The hit only counts if the segment actually reaches it
+        if (hitDistance > length) return null;
+        
+        return this.ray.at(hitDistance, new THREE.Vector3()).applyMatrix4(matrixWorld);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Depth Estimator Class
+ * 
+ * Estimates how far a hand is from the camera from its apparent palm size.
+ * MediaPipe's landmark z is relative to the wrist, so it only describes the
+ * hand's shape, not its distance. The palm, however, looks smaller the
+ * farther away it is (pinhole camera: apparent size ~ 1 / distance).
+ * 
+ * A calibration stores the palm size measured while the player holds their
+ * hand at a comfortable distance; that distance is mapped to the play plane.
+ * Moving the hand closer to or farther from the camera then moves it in front
+ * of or behind the play plane. Calibrations are kept in localStorage, so each
+ * player only needs to calibrate once per browser.
+ */
+export class DepthEstimator {
+    /**
+     * Constructor for DepthEstimator
+     */
+    constructor() {
+        /**
+         * Palm size reference
+         * 
+         * Palm size is measured in units of the video height. The default
+         * fits an adult hand about 60 cm from a webcam with a 60 degree
+         * vertical field of view, good enough until the player calibrates.
+         */
+        this.defaultPalmSize = 0.13;        // Uncalibrated reference palm size
+        this.referencePalmSize = this.defaultPalmSize;
+        this.calibrated = false;            // Whether the reference was measured for this player
+        this.storageKey = 'foodNinja.depthCalibration';
+        
+        // Mapping from relative distance to scene depth
+        this.depthGain = 1.0;               // Scales hand movement towards/away from the camera
+        this.minDepth = -2;                 // Farthest offset behind the play plane (world units)
+        this.maxDepth = 2;                  // Nearest offset in front of the play plane (world units)
+        
+        /**
+         * Palm measurements
+         * 
+         * Wrist to middle finger base shrinks when the hand tilts forward,
+         * the knuckle width shrinks when it turns sideways. The larger of the
+         * two (knuckle width rescaled to palm length) is the most reliable.
+         */
+        this.knuckleWidthRatio = 0.8;       // Typical knuckle width / palm length
+        
+        this.loadCalibration();
+    }
+    
+    /**
+     * Measure the apparent palm size of a hand
+     * 
+     * @param {Array} landmarks - Raw MediaPipe landmarks (normalized video coordinates)
+     * @param {number} aspect - Video aspect ratio (width / height)
+     * @returns {number} Palm size in units of the video height
+     */
+    measurePalmSize(landmarks, aspect) {
+        const distance = (a, b) => Math.hypot((a.x - b.x) * aspect, a.y - b.y);
+        
+        const palmLength = distance(landmarks[0], landmarks[9]);        // Wrist to middle finger base
+        const knuckleWidth = distance(landmarks[5], landmarks[17]);     // Index to pinky base
+        
+        return Math.max(palmLength, knuckleWidth / this.knuckleWidthRatio);
+    }
+    
+    /**
+     * Convert a palm size to a depth offset from the play plane
+     * 
+     * The calibrated palm size corresponds to the play plane. A palm that
+     * appears twice as large is at half the distance from the camera.
+     * 
+     * @param {number} palmSize - Measured palm size in units of the video height
+     * @param {number} planeDistance - Distance from the camera to the play plane (world units)
+     * @returns {number} Offset towards the camera from the play plane (world units)
+     */
+    estimateDepth(palmSize, planeDistance) {
+        if (!(palmSize > 0)) return 0;
+        
+        const handDistance = planeDistance * (this.referencePalmSize / palmSize);
+        const offset = (planeDistance - handDistance) * this.depthGain;
+        
+        return Math.min(this.maxDepth, Math.max(this.minDepth, offset));
+    }
+    
+    /**
+     * Use a palm size as the reference for the play plane and store it
+     * 
+     * @param {number} palmSize - Palm size measured at the player's comfortable distance
+     * @returns {boolean} True if the calibration was accepted
+     */
+    calibrate(palmSize) {
+        if (!this.applyReference(palmSize)) return false;
+        
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ palmSize }));
+        } catch (error) {
+            console.warn('Could not store depth calibration:', error);
+        }
+        
+        console.log(`Depth calibrated: palm size ${palmSize.toFixed(3)}`);
+        return true;
+    }
+    
+    /**
+     * Use a reference palm size without storing it
+     * 
+     * Replays use the calibration of the recorded player this way, so the
+     * local browser's calibration neither affects them nor gets overwritten.
+     * 
+     * @param {number} palmSize - Reference palm size for the play plane
+     * @param {boolean} calibrated - Whether the reference was measured for a player
+     * @returns {boolean} True if the reference was accepted
+     */
+    applyReference(palmSize, calibrated = true) {
+        if (!(palmSize > 0)) return false;
+        
+        this.referencePalmSize = palmSize;
+        this.calibrated = calibrated;
+        return true;
+    }
+    
+    /**
+     * Load a stored calibration, if any
+     */
+    loadCalibration() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            if (stored && stored.palmSize > 0) {
+                this.referencePalmSize = stored.palmSize;
+                this.calibrated = true;
+            }
+        } catch (error) {
+            // No storage (e.g., private mode) or corrupt entry: keep the default
+        }
+    }
+    
+    /**
+     * Forget the calibration and return to the default reference
+     */
+    clearCalibration() {
+        this.referencePalmSize = this.defaultPalmSize;
+        this.calibrated = false;
+        
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+    
+    /**
+     * Check whether the reference was measured for the current player
+     * 
+     * @returns {boolean} True if calibrated
+     */
+    isCalibrated() {
+        return this.calibrated;
+    }
+}
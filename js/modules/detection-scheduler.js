@@ -0,0 +1,159 @@
+/**
+ * Detection Scheduler Class
+ * 
+ * Decides on which frames hand detection runs. Running MediaPipe on every
+ * animation frame is fine on fast machines but drags slow ones far below a
+ * playable frame rate, since on the main thread each detection blocks the
+ * frame it runs in (and in a worker it still competes for the GPU).
+ * 
+ * The scheduler keeps a detection interval that adapts to two measurements:
+ * - Frame time: while the game runs slower than the target FPS the interval
+ *   grows, and once it runs faster again the interval shrinks back. The
+ *   target is the lowest playable frame rate, not the display rate: fast
+ *   machines simply keep detecting on every frame
+ * - Inference time: on the main thread detection may use at most a fixed share
+ *   of the frame time, so the interval never drops below what that allows
+ * 
+ * Between detections the HandDetector interpolates (or briefly extrapolates)
+ * the hands, so consumers still get smooth per-frame input.
+ */
+export class DetectionScheduler {
+    /**
+     * Constructor for DetectionScheduler
+     * 
+     * @param {Object} options - Scheduler configuration
+     * @param {number} options.targetFps - Lowest frame rate the game should keep
+     * @param {number} options.minInterval - Shortest detection interval in milliseconds (0 = every frame)
+     * @param {number} options.maxInterval - Longest detection interval in milliseconds
+     * @param {number} options.detectionBudget - Share of main thread time detection may use [0,1]
+     */
+    constructor({ targetFps = 30, minInterval = 0, maxInterval = 200, detectionBudget = 0.5 } = {}) {
+        this.targetFps = targetFps;
+        this.minInterval = minInterval;
+        this.maxInterval = maxInterval;         // 5 detections per second at the least
+        this.detectionBudget = detectionBudget;
+        this.offThread = false;                 // Detection runs in a worker (no main thread budget)
+        
+        /**
+         * Adaptation
+         * 
+         * The interval grows quickly when the frame rate falls below the
+         * target and shrinks slowly when it recovers. The band in between
+         * keeps the interval steady instead of oscillating.
+         */
+        this.growthFactor = 1.1;                // Interval increase per slow frame
+        this.shrinkFactor = 0.97;               // Interval decrease per fast frame
+        this.slowThreshold = 1.15;              // Frame time / target above which detection slows down
+        this.fastThreshold = 1.05;              // Frame time / target below which detection speeds up
+        this.smoothing = 0.9;                   // Weight of the previous average in the measurements
+        
+        // Measurements and state
+        this.interval = minInterval;            // Current detection interval in milliseconds
+        this.averageFrameTime = 0;              // Smoothed time between frames in milliseconds
+        this.averageInferenceTime = 0;          // Smoothed duration of one detection in milliseconds
+        this.lastFrameTime = null;              // Timestamp of the previous frame
+        this.lastDetectionTime = -Infinity;     // Timestamp of the last scheduled detection
+    }
+    
+    /**
+     * Record a rendered frame and adapt the interval
+     * 
+     * @param {number} time - Frame timestamp in milliseconds
+     */
+    recordFrame(time) {
+        if (this.lastFrameTime !== null) {
+            this.averageFrameTime = this.smooth(this.averageFrameTime, time - this.lastFrameTime);
+            this.adapt();
+        }
+        this.lastFrameTime = time;
+    }
+    
+    /**
+     * Record the duration of a detection
+     * 
+     * @param {number} duration - Inference time in milliseconds
+     */
+    recordInference(duration) {
+        this.averageInferenceTime = this.smooth(this.averageInferenceTime, duration);
+    }
+    
+    /**
+     * Update the detection interval from the current measurements
+     */
+    adapt() {
+        const targetFrameTime = 1000 / this.targetFps;
+        const load = this.averageFrameTime / targetFrameTime;
+        
+        if (load > this.slowThreshold) {
+            this.interval = Math.max(this.interval, targetFrameTime) * this.growthFactor;
+        } else if (load < this.fastThreshold) {
+            this.interval *= this.shrinkFactor;
+        }
+        
+        // On the main thread detection may only take its share of the time
+        const budgetInterval = this.offThread ? 0 : this.averageInferenceTime / this.detectionBudget;
+        this.interval = Math.min(this.maxInterval, Math.max(this.minInterval, budgetInterval, this.interval));
+    }
+    
+    /**
+     * Check whether detection should run on this frame
+     * 
+     * A detection counts as due half a frame early, so an interval equal to
+     * the frame time detects on every frame despite timing jitter.
+     * 
+     * @param {number} time - Frame timestamp in milliseconds
+     * @returns {boolean} True if detection should run (the detection is then recorded as scheduled)
+     */
+    shouldDetect(time) {
+        if (time - this.lastDetectionTime < this.interval - this.averageFrameTime / 2) {
+            return false;
+        }
+        
+        this.lastDetectionTime = time;
+        return true;
+    }
+    
+    /**
+     * Exponential moving average step
+     * 
+     * @param {number} average - Previous average (0 before the first sample)
+     * @param {number} sample - New measurement
+     * @returns {number} Updated average
+     */
+    smooth(average, sample) {
+        return average ? average * this.smoothing + sample * (1 - this.smoothing) : sample;
+    }
+    
+    /**
+     * Change the frame rate the scheduler aims for
+     * 
+     * @param {number} fps - Target frames per second
+     */
+    setTargetFps(fps) {
+        if (!(fps > 0)) return;
+        
+        this.targetFps = fps;
+        console.log(`Detection target FPS set to: ${fps}`);
+    }
+    
+    /**
+     * Get the current detection rate
+     * 
+     * @returns {number} Detections per second (limited by the frame rate)
+     */
+    getDetectionRate() {
+        const period = Math.max(this.interval, this.averageFrameTime);
+        return period > 0 ? 1000 / period : 0;
+    }
+    
+    /**
+     * Forget all measurements and return to the shortest interval
+     */
+    reset() {
+        this.interval = this.minInterval;
+        this.averageFrameTime = 0;
+        this.averageInferenceTime = 0;
+        this.lastFrameTime = null;
+        this.lastDetectionTime = -Infinity;
+    }
+}
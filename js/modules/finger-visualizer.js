@@ -4,12 +4,12 @@ import * as THREE from 'three';
  * Finger Visualizer Class
  * 
  * Provides real-time visual feedback for hand tracking by displaying dynamic
- * indicators that follow the user's index fingers. This class enhances user experience
+ * indicators that follow the user's blade fingers. This class enhances user experience
  * by making hand tracking visible and responsive, helping users understand where
  * the system detects their fingers and when slicing actions are possible.
  * 
  * Key responsibilities:
- * - Display animated spheres that follow up to 2 index fingers (one per hand)
+ * - Display animated spheres that follow the blade fingers of the active blade preset
  * - Provide smooth position interpolation for natural movement
  * - Create pulsing animation effects for engaging visual feedback
  * - Generate particle effects when successful slices occur
@@ -30,12 +30,14 @@ export class FingerVisualizer {
         /**
          * Multi-sphere tracking system
          * 
-         * Uses Map to track individual spheres for each detected index finger.
+         * Uses Map to track individual spheres for each detected blade finger.
          * Key: fingertip ID (unique identifier from hand detector)
          * Value: sphere data object with mesh and animation state
          */
         this.fingerSpheres = new Map();     // Map of fingertip ID to sphere data
-        this.maxSpheres = 2;                // Maximum number of spheres (2 hands max)
+        this.maxSpheres = 16;               // Maximum number of spheres (6 tracked points x 2 hands, plus pointers)
+        this.bladeFingers = ['index', 'pointer'];   // Fingertip types to visualize (set from the blade preset)
+        this.usePrediction = true;          // Follow predicted positions to hide tracking latency
         
         /**
          * Sphere visual configuration
@@ -84,23 +86,23 @@ export class FingerVisualizer {
         this.animationTime += deltaTime;
         
         /**
-         * Filter for index fingers only
+         * Filter for blade fingers only
          * 
-         * The system specifically tracks index fingers for precision slicing,
-         * so we only visualize index finger positions for clarity.
+         * Only the points that can actually slice are visualized, so the
+         * spheres show the player exactly what their blade is.
          */
-        const indexFingers = fingertips.filter(ft => ft.type === 'index');
+        const bladeFingers = fingertips.filter(ft => this.bladeFingers.includes(ft.type));
         
         // Get currently active fingertip IDs for tracking
-        const activeFingertipIds = new Set(indexFingers.map(ft => ft.id));
+        const activeFingertipIds = new Set(bladeFingers.map(ft => ft.id));
         
         /**
          * Update existing spheres and create new ones
          * 
-         * Process each detected index finger and ensure it has a corresponding
+         * Process each detected blade finger and ensure it has a corresponding
          * visual sphere. Limit to maximum number of spheres for performance.
          */
-        for (const fingertip of indexFingers) {
+        for (const fingertip of bladeFingers) {
             // Respect maximum sphere limit
             if (!this.fingerSpheres.has(fingertip.id) && this.fingerSpheres.size >= this.maxSpheres) {
                 continue;
@@ -112,7 +114,8 @@ export class FingerVisualizer {
             }
             
             // Update sphere position and animation
-            this.updateSphere(fingertip.id, fingertip.position, deltaTime);
+            const target = (this.usePrediction && fingertip.predictedPosition) || fingertip.position;
+            this.updateSphere(fingertip.id, target, deltaTime);
         }
         
         /**
@@ -325,12 +328,14 @@ export class FingerVisualizer {
      * 
      * Generates dynamic particle burst effect at slice location to provide
      * satisfying visual feedback for successful slicing actions. Particles
-     * have physics-based movement for realistic appearance.
+     * have physics-based movement for realistic appearance. When the swipe
+     * direction is known, the burst is thrown along it.
      * 
      * @param {THREE.Vector3} position - World position where slice occurred
      * @param {string} foodType - Type of food sliced (for future effect customization)
+     * @param {THREE.Vector3|null} swipeDirection - Optional unit direction of the swipe
      */
-    createSliceEffect(position, foodType) {
+    createSliceEffect(position, foodType, swipeDirection = null) {
         if (!this.isEnabled) return;
         
         /**
@@ -372,6 +377,11 @@ export class FingerVisualizer {
                 (Math.random() - 0.5) * 2                 // Random depth direction
             ).normalize();
             
+            // Carry the burst along with the blade
+            if (swipeDirection) {
+                direction.addScaledVector(swipeDirection, 1.5).normalize();
+            }
+            
             // Set particle initial position and physics data
             particle.position.copy(position);
             particle.userData = {
@@ -384,13 +394,151 @@ export class FingerVisualizer {
             this.scene.add(particle);
         }
         
+        // Start particle animation
+        this.animateParticles(particles, 0.1);
+    }
+    
+    /**
+     * Create a slash streak along a cut
+     * 
+     * Draws a thin bright blade trail from where the swipe entered the food
+     * to where it left, slightly overshooting both ends, and fades it out.
+     * Clean cuts get a gold streak.
+     * 
+     * @param {THREE.Vector3} entryPoint - Where the swipe entered the food
+     * @param {THREE.Vector3} exitPoint - Where the swipe left the food
+     * @param {boolean} highlight - Whether to use the clean cut color
+     */
+    createSlashEffect(entryPoint, exitPoint, highlight = false) {
+        if (!this.isEnabled) return;
+        
+        const length = entryPoint.distanceTo(exitPoint);
+        if (length < 0.01) return;
+        
+        const slash = new THREE.Mesh(
+            new THREE.PlaneGeometry(length * 1.4, 0.04),
+            new THREE.MeshBasicMaterial({
+                color: highlight ? 0xffd700 : 0xffffff,
+                transparent: true,
+                opacity: 0.9,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            })
+        );
+        
+        // Lie along the cut, facing the camera
+        slash.position.copy(entryPoint).lerp(exitPoint, 0.5);
+        slash.rotation.z = Math.atan2(exitPoint.y - entryPoint.y, exitPoint.x - entryPoint.x);
+        this.scene.add(slash);
+        
+        const animateSlash = () => {
+            slash.scale.y *= 0.85;
+            slash.material.opacity *= 0.88;
+            
+            if (slash.material.opacity < 0.05) {
+                this.scene.remove(slash);
+                slash.material.dispose();
+                slash.geometry.dispose();
+            } else {
+                requestAnimationFrame(animateSlash);
+            }
+        };
+        animateSlash();
+    }
+    
+    /**
+     * Create explosion effect when a hazard is sliced
+     * 
+     * Distinct from the regular slice burst: a bright flash that expands
+     * and fades, plus a larger cloud of fire and smoke coloured particles.
+     * 
+     * @param {THREE.Vector3} position - World position of the exploding hazard
+     */
+    createExplosionEffect(position) {
+        if (!this.isEnabled) return;
+        
         /**
-         * Particle animation loop
+         * Expanding flash sphere
          * 
-         * Recursive function that updates all particles each frame until
-         * they expire. Handles physics simulation, life decay, and cleanup.
+         * Grows quickly while fading out to sell the blast radius.
          */
-        const animateParticles = () => {
+        const flash = new THREE.Mesh(
+            new THREE.SphereGeometry(0.3, 16, 12),
+            new THREE.MeshBasicMaterial({
+                color: 0xffaa33,
+                transparent: true,
+                opacity: 0.9
+            })
+        );
+        flash.position.copy(position);
+        this.scene.add(flash);
+        
+        const animateFlash = () => {
+            flash.scale.multiplyScalar(1.12);
+            flash.material.opacity *= 0.88;
+            
+            if (flash.material.opacity < 0.05) {
+                this.scene.remove(flash);
+                flash.material.dispose();
+                flash.geometry.dispose();
+            } else {
+                requestAnimationFrame(animateFlash);
+            }
+        };
+        animateFlash();
+        
+        /**
+         * Fire and smoke particles
+         * 
+         * More particles, faster speeds and a fire/smoke palette keep the
+         * explosion clearly different from a successful slice.
+         */
+        const explosionColors = [0xff3300, 0xff8800, 0xffdd00, 0x555555];
+        const particleCount = 24;
+        const particles = [];
+        
+        for (let i = 0; i < particleCount; i++) {
+            const particle = new THREE.Mesh(
+                new THREE.SphereGeometry(0.07, 6, 4),
+                new THREE.MeshBasicMaterial({
+                    color: explosionColors[i % explosionColors.length],
+                    transparent: true,
+                    opacity: 1.0
+                })
+            );
+            
+            // Uniform spherical burst, no upward bias
+            const direction = new THREE.Vector3(
+                (Math.random() - 0.5) * 2,
+                (Math.random() - 0.5) * 2,
+                (Math.random() - 0.5) * 2
+            ).normalize();
+            
+            particle.position.copy(position);
+            particle.userData = {
+                velocity: direction.multiplyScalar(4 + Math.random() * 4),    // Random speed 4-8 units/sec
+                life: 1.0,
+                maxLife: 1.0
+            };
+            
+            particles.push(particle);
+            this.scene.add(particle);
+        }
+        
+        this.animateParticles(particles, 0.05);
+    }
+    
+    /**
+     * Particle animation loop
+     * 
+     * Recursive function that updates all particles each frame until
+     * they expire. Handles physics simulation, life decay, and cleanup.
+     * 
+     * @param {Array} particles - Particle meshes with velocity/life in userData
+     * @param {number} gravity - Downward velocity change applied per frame
+     */
+    animateParticles(particles, gravity) {
+        const animate = () => {
             for (let i = particles.length - 1; i >= 0; i--) {
                 const particle = particles[i];
                 const userData = particle.userData;
@@ -402,7 +550,7 @@ export class FingerVisualizer {
                  * gravity acceleration for realistic falling behavior.
                  */
                 particle.position.add(userData.velocity.clone().multiplyScalar(0.016));  // 60fps timestep
-                userData.velocity.y -= 0.1;                // Gravity acceleration
+                userData.velocity.y -= gravity;            // Gravity acceleration
                 
                 /**
                  * Update particle lifecycle
@@ -434,12 +582,11 @@ export class FingerVisualizer {
             
             // Continue animation if particles remain
             if (particles.length > 0) {
-                requestAnimationFrame(animateParticles);
+                requestAnimationFrame(animate);
             }
         };
         
-        // Start particle animation
-        animateParticles();
+        animate();
     }
     
     /**
@@ -462,6 +609,18 @@ export class FingerVisualizer {
         }
     }
     
+    /**
+     * Select which fingertip types are visualized
+     * 
+     * Spheres of fingers that are no longer blades are removed on the
+     * next update.
+     * 
+     * @param {Array} fingers - Fingertip types from the blade preset (e.g., ['index'])
+     */
+    setBladeFingers(fingers) {
+        this.bladeFingers = [...fingers];
+    }
+    
     /**
      * Get number of currently active finger spheres
      * 
@@ -1,19 +1,24 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import * as CANNON from 'cannon-es';
+import { WavePlayer } from './wave-player.js';
+import { MeshSlicer } from './mesh-slicer.js';
+import { CollisionVolume } from './collision-volume.js';
 
 /**
  * Food Spawner Class
  * 
- * Manages the procedural generation and lifecycle of falling food objects in the game.
+ * Manages the procedural generation and lifecycle of flying food objects in the game.
  * This class handles loading 3D food models, spawning them at random intervals and positions,
- * and managing their physics-based movement through the scene.
+ * and backing each food with a rigid body in the scene manager's physics world.
  * 
  * Key responsibilities:
  * - Load and cache 3D food models from GLTF files
  * - Implement weighted random spawning system for game balance
  * - Configure food object physics and visual properties
  * - Manage spawning timing and maximum object limits
- * - Update food object physics and cleanup off-screen objects
+ * - Create physics bodies for food objects and cleanup off-screen objects
+ * - Cut sliced food into two pieces that fly apart and fade out
  * - Provide interface for collision detection and game logic integration
  */
 export class FoodSpawner {
@@ -27,7 +32,54 @@ export class FoodSpawner {
         this.foods = [];                    // Array of currently active food objects
         this.spawnTimer = 0;                // Timer for spawn interval management
         this.spawnInterval = 0.8;           // Base spawn interval in seconds
+        this.spawnIntervalRange = [0.5, 1.3];   // [min, max] randomized interval between spawns
+        this.spawnDepthRange = 1;           // Items spawn at depths in [-range, +range]
         this.maxFoods = 15;                 // Maximum concurrent food objects (performance limit)
+        this.onFoodMissed = null;           // Optional callback invoked when food leaves play unsliced
+        
+        /**
+         * Launch trajectory configuration
+         * 
+         * Food is tossed from below the frame in an arc, Fruit Ninja style.
+         * The upward speed is derived from a random peak height so every item
+         * tops out inside the visible area, and the sideways speed is limited
+         * both by a maximum launch angle and by the horizontal play bounds.
+         * Gravity comes from the physics world, so arcs follow its setting.
+         * Heights and ranges are fitted to the visible area at each item's
+         * depth once applyPlayArea() has been called; the values below suit
+         * the default camera at the play plane.
+         */
+        this.launchConfig = {
+            startY: -4,                     // Launch height, just below the bottom edge of the frame
+            missY: -5,                      // Descending items below this height are missed
+            spawnRangeX: 3,                 // Launch positions in [-3, +3]
+            peakMinY: 0.5,                  // Lowest peak height (lower third of the screen)
+            peakMaxY: 2.3,                  // Highest peak height (just below the top edge)
+            maxLaunchAngle: 20,             // Maximum deviation from vertical in degrees
+            boundsX: 4                      // Items stay within [-4, +4] horizontally
+        };
+        this.playPlane = null;              // Source of the visible extents at any depth (set by applyPlayArea)
+        
+        /**
+         * Rigid body configuration
+         * 
+         * Each food is a dynamic body in the physics world. Foods collide with
+         * each other, except during a short grace period after launch so that
+         * items launched together from one point (wave formations) do not
+         * push each other apart immediately.
+         */
+        this.physicsMaterial = new CANNON.Material('food');
+        this.foodMass = 1;                  // Mass of every food body
+        this.maxSpin = 2.5;                 // Maximum initial angular velocity per axis (rad/s)
+        this.collisionGracePeriod = 600;    // Milliseconds before a new food collides with others
+        
+        // Bouncy, low friction contacts between foods
+        this.sceneManager.physicsWorld.addContactMaterial(
+            new CANNON.ContactMaterial(this.physicsMaterial, this.physicsMaterial, {
+                friction: 0.1,
+                restitution: 0.4
+            })
+        );
         
         /**
          * Weighted spawn system configuration
@@ -38,25 +90,85 @@ export class FoodSpawner {
          * - Donut: 10% chance (uncommon, medium points)
          * - Burger: 3% chance (rare, high points)
          * - Plate: 2% chance (rare bonus item)
+         * - Bomb: hazard that must NOT be sliced (no model file, built procedurally)
          * 
          * Scale values are tuned for optimal visual size and collision detection.
          * Category classification enables different scoring rules.
+         * Interior color is used for the cut faces when the item is sliced.
+         * 
+         * Collision volumes are generated from each model at load time and
+         * rotate with it (see collision-volume.js):
+         * - collision: 'box' (oriented box, default) or 'spheres' (sphere chain for long items)
+         * - tolerance: Padding around the volume in world units, for tracking inaccuracy
+         * 
+         * Models with hand-made cut states name their nodes in `nodes`:
+         * - whole: Node shown while the item is flying (everything else is hidden)
+         * - pieces: Nodes that replace the whole node when the item is sliced
+         * Piece geometry must be authored in the same frame as the whole node,
+         * so that the pieces line up with it when swapped in. Items without
+         * `nodes` are cut procedurally along the slice plane.
          */
         this.foodTypes = [
             // Fruits - HIGH SPAWN RATE (common items for consistent gameplay)
-            { name: 'apple', file: 'cute_apple.glb', scale: 28.0, category: 'fruit', weight: 25 },
-            { name: 'apple_red', file: 'apple_001.glb', scale: 8.5, category: 'fruit', weight: 20 },
-            { name: 'banana', file: 'banana_001.glb', scale: 6.5, category: 'fruit', weight: 20 },
-            { name: 'peach', file: 'peach_001.glb', scale: 8.0, category: 'fruit', weight: 20 },
+            { name: 'apple', file: 'cute_apple.glb', scale: 28.0, category: 'fruit', weight: 25, interiorColor: 0xfff1c9,
+              tolerance: 0.15, nodes: { whole: 'apple_whole', pieces: ['apple_half_1', 'apple_half_2'] } },
+            { name: 'apple_red', file: 'apple_001.glb', scale: 8.5, category: 'fruit', weight: 20, interiorColor: 0xfff1c9,
+              tolerance: 0.15 },
+            { name: 'banana', file: 'banana_001.glb', scale: 6.5, category: 'fruit', weight: 20, interiorColor: 0xfff6d5,
+              collision: 'spheres', tolerance: 0.2 },
+            { name: 'peach', file: 'peach_001.glb', scale: 8.0, category: 'fruit', weight: 20, interiorColor: 0xffb866,
+              tolerance: 0.15 },
             
             // Special items - MEDIUM SPAWN RATE (occasional treats)
-            { name: 'donut', file: 'donut_001.glb', scale: 8.0, category: 'dessert', weight: 10 },
+            { name: 'donut', file: 'donut_001.glb', scale: 8.0, category: 'dessert', weight: 10, interiorColor: 0xf2c98a,
+              tolerance: 0.15 },
             
             // Rare items - LOW SPAWN RATE (high value rewards)
-            { name: 'burger', file: 'burger_001.glb', scale: 5.0, category: 'main', weight: 3 },
-            { name: 'plate', file: 'Plate_001.glb', scale: 4.0, category: 'tableware', weight: 2 }
+            { name: 'burger', file: 'burger_001.glb', scale: 5.0, category: 'main', weight: 3, interiorColor: 0x9c5a36,
+              tolerance: 0.15 },
+            { name: 'plate', file: 'Plate_001.glb', scale: 4.0, category: 'tableware', weight: 2, interiorColor: 0xf4f4f4,
+              tolerance: 0.1 },
+            
+            // Hazards - must be avoided (slicing costs a life and points); tight volume forgives near misses
+            { name: 'bomb', file: null, scale: 1.0, category: 'hazard', weight: 8, tolerance: 0.05 }
         ];
         
+        this.hazardsEnabled = true;         // Whether hazard items take part in spawning
+        this.defaultCollisionTolerance = 0.15;  // Tolerance for food types without one
+        
+        /**
+         * Final burst configuration for timed modes
+         * 
+         * Set through applyMode(). While the burst is active, spawns come faster
+         * and are restricted to the burst's high-value categories.
+         */
+        this.finalBurst = null;             // Burst settings from the current game mode
+        this.finalBurstActive = false;      // Whether the burst is currently running
+        
+        /**
+         * Scripted wave system
+         * 
+         * Wave definitions are loaded from JSON files, cached by URL and played
+         * by the wave player alongside (or instead of) random spawning.
+         */
+        this.wavePlayer = new WavePlayer(this);
+        this.waveDefinitions = new Map();   // Cache of loaded wave definitions by URL
+        
+        /**
+         * Sliced piece (debris) configuration
+         * 
+         * Sliced food is cut into two pieces along the slice plane. The pieces
+         * are pushed apart along the plane normal, fall with physics and fade
+         * out. Debris never collides, so it cannot knock live food off course.
+         */
+        this.meshSlicer = new MeshSlicer();
+        this.debris = [];                   // Active sliced pieces
+        this.debrisMass = 0.5;              // Mass of each piece
+        this.debrisSeparationSpeed = 1.5;   // Speed pushing the pieces apart (units/s)
+        this.debrisLifetime = 1500;         // Milliseconds before a piece is removed
+        this.debrisFadeTime = 800;          // Milliseconds of fading at the end of the lifetime
+        this.maxDebris = 20;                // Maximum concurrent pieces (performance limit)
+        
         // Model loading and management
         this.foodModels = new Map();        // Cache for loaded 3D models
         this.loader = new GLTFLoader();     // Three.js GLTF loader instance
@@ -86,43 +198,22 @@ export class FoodSpawner {
      * Asynchronously loads each food model, applies proper scaling and centering,
      * and configures materials for optimal lighting and performance.
      * Uses Promise.all to load models in parallel for faster initialization.
+     * Food types without a model file (hazards) are built procedurally.
      */
     async loadAllFoodModels() {
         // Create array of loading promises for parallel loading
         const loadPromises = this.foodTypes.map(foodType => {
+            // Procedural models need no loading
+            if (!foodType.file) {
+                this.registerFoodModel(this.createBombModel(), foodType);
+                return Promise.resolve();
+            }
+            
             return new Promise((resolve, reject) => {
                 this.loader.load(
                     `assets/${foodType.file}`,     // Model file path
                     (gltf) => {
-                        const model = gltf.scene;
-                        
-                        /**
-                         * Apply proper scaling for game balance
-                         * 
-                         * Each food type has a carefully tuned scale value that balances:
-                         * - Visual appeal and recognizability
-                         * - Collision detection accuracy
-                         * - Game difficulty (larger objects easier to hit)
-                         */
-                        model.scale.setScalar(foodType.scale);
-                        
-                        /**
-                         * Center the model at origin
-                         * 
-                         * Ensures consistent positioning regardless of how the original
-                         * 3D model was positioned during creation. This makes spawning
-                         * and collision detection more predictable.
-                         */
-                        const box = new THREE.Box3().setFromObject(model);
-                        const center = box.getCenter(new THREE.Vector3());
-                        model.position.sub(center);
-                        
-                        // Configure model materials and properties
-                        this.configureModel(model, foodType);
-                        
-                        // Store configured model in cache
-                        this.foodModels.set(foodType.name, model);
-                        this.loadedCount++;
+                        this.registerFoodModel(gltf.scene, foodType);
                         resolve();
                     },
                     (progress) => {
@@ -140,6 +231,136 @@ export class FoodSpawner {
         await Promise.all(loadPromises);
     }
     
+    /**
+     * Prepare a loaded model and store it in the model cache
+     * 
+     * The model is wrapped in a pivot group so that spawned instances rotate
+     * around the model's visual center, which is also where the physics body sits.
+     * 
+     * @param {THREE.Object3D} model - Loaded or procedurally built model
+     * @param {Object} foodType - Food type configuration object
+     */
+    registerFoodModel(model, foodType) {
+        /**
+         * Apply proper scaling for game balance
+         * 
+         * Each food type has a carefully tuned scale value that balances:
+         * - Visual appeal and recognizability
+         * - Collision detection accuracy
+         * - Game difficulty (larger objects easier to hit)
+         */
+        model.scale.setScalar(foodType.scale);
+        
+        // Configure model materials and properties (also hides unused parts)
+        this.configureModel(model, foodType);
+        
+        /**
+         * Center the model at origin
+         * 
+         * Ensures consistent positioning regardless of how the original
+         * 3D model was positioned during creation. This makes spawning
+         * and collision detection more predictable. Only visible parts count,
+         * so hidden nodes in the asset do not shift the center.
+         */
+        const box = this.computeVisibleBounds(model);
+        const center = box.getCenter(new THREE.Vector3());
+        model.position.sub(center);
+        
+        const pivot = new THREE.Group();
+        pivot.name = `${foodType.name}_pivot`;
+        pivot.add(model);
+        
+        // Physics shape derived from the centered model bounds
+        foodType.physicsShape = this.createPhysicsShape(box.getSize(new THREE.Vector3()));
+        
+        // Collision volume in pivot space, shared by all instances of this type
+        foodType.collisionVolume = new CollisionVolume(pivot, foodType.collision || 'box');
+        
+        // Store configured model in cache
+        this.foodModels.set(foodType.name, pivot);
+        this.loadedCount++;
+    }
+    
+    /**
+     * Compute the world bounding box of the visible meshes of an object
+     * 
+     * Box3.setFromObject() also includes hidden meshes, which would make
+     * models with hidden parts appear larger and off-center.
+     * 
+     * @param {THREE.Object3D} object - Object to measure
+     * @returns {THREE.Box3} Bounding box of visible meshes
+     */
+    computeVisibleBounds(object) {
+        const box = new THREE.Box3();
+        object.updateWorldMatrix(true, true);
+        
+        object.traverseVisible((child) => {
+            if (child.isMesh) {
+                box.expandByObject(child, false);
+            }
+        });
+        
+        return box;
+    }
+    
+    /**
+     * Create a physics shape from model bounds
+     * 
+     * Roughly round models (all sides within 30% of each other) get a sphere,
+     * which tumbles more naturally. Elongated or flat models get a box
+     * matching their bounds.
+     * 
+     * @param {THREE.Vector3} size - Model bounding box size
+     * @returns {CANNON.Shape} Physics shape for the food body
+     */
+    createPhysicsShape(size) {
+        const largest = Math.max(size.x, size.y, size.z);
+        const smallest = Math.min(size.x, size.y, size.z);
+        
+        if (smallest > 0 && largest / smallest < 1.3) {
+            return new CANNON.Sphere((size.x + size.y + size.z) / 6);
+        }
+        
+        return new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2));
+    }
+    
+    /**
+     * Build the bomb hazard model from primitives
+     * 
+     * There is no bomb asset, so the model is assembled from a dark sphere,
+     * a short fuse and a glowing spark that makes it readable against the video.
+     * 
+     * @returns {THREE.Group} Bomb model
+     */
+    createBombModel() {
+        const bomb = new THREE.Group();
+        
+        // Main body - dark metallic sphere
+        const body = new THREE.Mesh(
+            new THREE.SphereGeometry(0.35, 24, 16),
+            new THREE.MeshStandardMaterial({ color: 0x1a1a1a, roughness: 0.4, metalness: 0.1 })
+        );
+        bomb.add(body);
+        
+        // Fuse sticking out of the top
+        const fuse = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.03, 0.03, 0.18, 8),
+            new THREE.MeshStandardMaterial({ color: 0x8b6b3d, roughness: 0.9 })
+        );
+        fuse.position.y = 0.42;
+        bomb.add(fuse);
+        
+        // Spark at the fuse tip - unlit so it always stands out
+        const spark = new THREE.Mesh(
+            new THREE.SphereGeometry(0.06, 8, 6),
+            new THREE.MeshBasicMaterial({ color: 0xff5500 })
+        );
+        spark.position.y = 0.53;
+        bomb.add(spark);
+        
+        return bomb;
+    }
+    
     /**
      * Configure 3D model properties for optimal game rendering
      * 
@@ -162,18 +383,14 @@ export class FoodSpawner {
                 child.receiveShadow = true;
                 
                 /**
-                 * Special handling for cute_apple model
+                 * Models with authored cut pieces
                  * 
-                 * This model contains multiple mesh parts including pre-cut sections.
-                 * We only show the whole apple part initially, hiding cut parts
-                 * until slicing occurs (handled by collision detection).
+                 * These models contain multiple mesh parts including pre-cut sections.
+                 * We only show the whole node initially, hiding cut parts
+                 * until slicing occurs (see sliceFood()).
                  */
-                if (foodType.file === 'cute_apple.glb') {
-                    if (child.name === 'apple_whole_m_apple_outer_0') {
-                        child.visible = true;   // Show whole apple
-                    } else {
-                        child.visible = false;  // Hide cut pieces initially
-                    }
+                if (foodType.nodes) {
+                    child.visible = this.isInsideNode(child, foodType.nodes.whole);
                 }
                 
                 /**
@@ -204,44 +421,164 @@ export class FoodSpawner {
     }
     
     /**
-     * Spawn a new food object using weighted random selection
+     * Check whether an object is a named node or one of its descendants
+     * 
+     * @param {THREE.Object3D} object - Object to check
+     * @param {string} nodeName - Name of the ancestor node
+     * @returns {boolean} True if the object is inside the named node
+     */
+    isInsideNode(object, nodeName) {
+        for (let node = object; node; node = node.parent) {
+            if (node.name === nodeName) return true;
+        }
+        return false;
+    }
+    
+    /**
+     * Load and validate a wave definition from a JSON file
+     * 
+     * Definitions are cached by URL, so each file is only fetched once.
+     * 
+     * @param {string} url - Path to the wave definition JSON file
+     * @returns {Object} Validated wave definition
+     */
+    async loadWaveDefinition(url) {
+        if (this.waveDefinitions.has(url)) {
+            return this.waveDefinitions.get(url);
+        }
+        
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load wave definition ${url}: ${response.status}`);
+        }
+        
+        const definition = await response.json();
+        this.wavePlayer.validateDefinition(definition, url);
+        this.waveDefinitions.set(url, definition);
+        
+        return definition;
+    }
+    
+    /**
+     * Start playing a loaded wave definition
+     * 
+     * @param {Object} definition - Validated wave definition
+     */
+    playWaves(definition) {
+        this.wavePlayer.play(definition);
+    }
+    
+    /**
+     * Stop scripted waves and return to random spawning only
+     */
+    stopWaves() {
+        this.wavePlayer.stop();
+    }
+    
+    /**
+     * Apply the spawning rules of a game mode
+     * 
+     * Modes that reference a wave file start playing it from the beginning.
+     * The file must have been loaded with loadWaveDefinition() beforehand.
+     * 
+     * @param {Object} mode - Game mode definition (see game-modes.js)
+     */
+    applyMode(mode) {
+        this.hazardsEnabled = mode.hazardsEnabled;
+        this.spawnIntervalRange = mode.spawnInterval;
+        this.spawnDepthRange = mode.spawnDepth ?? 1;
+        this.finalBurst = mode.finalBurst || null;
+        this.finalBurstActive = false;
+        
+        const waveDefinition = mode.waves ? this.waveDefinitions.get(mode.waves) : null;
+        if (waveDefinition) {
+            this.playWaves(waveDefinition);
+        } else {
+            this.stopWaves();
+        }
+    }
+    
+    /**
+     * Fit launches to the visible area of the scene camera
+     * 
+     * Keeps launches, peaks and the miss line at the same positions relative
+     * to the frame edges for any camera field of view or aspect ratio. The
+     * visible area shrinks towards the camera, so every item is fitted at
+     * its own depth (see getLaunchArea()); launchConfig keeps the values of
+     * the play plane itself.
+     * 
+     * @param {PlayPlane} playPlane - Play plane providing the visible extents at any depth
+     */
+    applyPlayArea(playPlane) {
+        this.playPlane = playPlane;
+        Object.assign(this.launchConfig, this.getLaunchArea(playPlane.z));
+    }
+    
+    /**
+     * Launch configuration fitted to the visible area at a depth
+     * 
+     * @param {number} z - World depth of the launched item
+     * @returns {Object} Launch configuration (see launchConfig) for that depth
+     */
+    getLaunchArea(z) {
+        if (!this.playPlane) return this.launchConfig;
+        
+        const bounds = this.playPlane.getBounds(z);
+        const halfWidth = bounds.width / 2;
+        
+        return {
+            ...this.launchConfig,
+            startY: bounds.bottom - 1.1,                    // Just below the bottom edge
+            missY: bounds.bottom - 2.1,                     // Well out of sight
+            spawnRangeX: halfWidth * 0.6,                   // Central 60% of the width
+            peakMinY: bounds.bottom + bounds.height * 0.6,  // Upper 40% of the height
+            peakMaxY: bounds.top - 0.6,                     // Just below the top edge
+            boundsX: halfWidth * 0.8                        // Landing stays inside the frame
+        };
+    }
+    
+    /**
+     * Enable or disable the final burst of high-value spawns
+     * 
+     * Has no effect if the current mode does not define a final burst.
+     * 
+     * @param {boolean} active - Whether the burst should be running
+     */
+    setFinalBurst(active) {
+        const shouldActivate = Boolean(this.finalBurst) && active;
+        
+        // Spawn immediately when the burst starts
+        if (shouldActivate && !this.finalBurstActive) {
+            this.spawnTimer = this.spawnInterval;
+        }
+        
+        this.finalBurstActive = shouldActivate;
+    }
+    
+    /**
+     * Spawn a new food object
      * 
      * Creates a new food instance by:
-     * 1. Selecting food type based on weighted probabilities
+     * 1. Selecting food type based on weighted probabilities (unless given)
      * 2. Cloning the cached model for this instance
-     * 3. Positioning at random spawn location
+     * 3. Positioning at random launch location (unless given)
      * 4. Adding to scene and tracking arrays
      * 
-     * Respects maximum food limit and model loading status.
+     * Respects maximum food limit and model loading status. Scripted waves
+     * pass an explicit food type and launch parameters.
+     * 
+     * @param {string|null} foodTypeName - Food type to spawn, or null for weighted random
+     * @param {Object|null} launch - Optional {position, velocity} overrides; missing fields are randomized
      */
-    spawnFood() {
+    spawnFood(foodTypeName = null, launch = null) {
         // Prevent spawning if at capacity or models not ready
         if (this.foods.length >= this.maxFoods || !this.modelsLoaded) return;
         
-        /**
-         * Weighted random selection algorithm
-         * 
-         * Implements fair weighted selection by:
-         * 1. Calculating total weight of all food types
-         * 2. Generating random number in range [0, totalWeight]
-         * 3. Iterating through types, subtracting weights until reaching 0
-         * 4. Selected type is where the counter reaches/crosses 0
-         */
-        const totalWeight = this.foodTypes.reduce((sum, type) => sum + type.weight, 0);
-        let randomWeight = Math.random() * totalWeight;
+        const selectedFoodType = foodTypeName ? this.getFoodType(foodTypeName) : this.selectRandomFoodType();
         
-        let selectedFoodType = null;
-        for (const foodType of this.foodTypes) {
-            randomWeight -= foodType.weight;
-            if (randomWeight <= 0) {
-                selectedFoodType = foodType;
-                break;
-            }
-        }
-        
-        // Fallback safety - should never occur with correct weights
-        if (!selectedFoodType) {
-            selectedFoodType = this.foodTypes[0];
+        // Scripted hazards are skipped in modes without hazards
+        if (!selectedFoodType || (selectedFoodType.category === 'hazard' && !this.hazardsEnabled)) {
+            return;
         }
         
         // Get the cached model for cloning
@@ -272,20 +609,50 @@ export class FoodSpawner {
         });
         
         /**
-         * Random spawn positioning
+         * Random launch positioning
          * 
-         * Spawns objects at random horizontal positions across screen width
-         * with slight depth variation for visual interest. Vertical position
-         * is above screen to allow natural falling motion.
+         * Launches objects from random horizontal positions below the frame
+         * with slight depth variation for visual interest. The depth is picked
+         * first, since the visible area (and so the launch area) depends on it.
          */
-        const spawnX = (Math.random() - 0.5) * 8;   // Horizontal range: -4 to +4
-        const spawnY = 6;                           // Above visible screen area
-        const spawnZ = (Math.random() - 0.5) * 2;   // Depth variation: -1 to +1
+        const position = (launch && launch.position) || {};
+        const spawnZ = position.z ?? (Math.random() * 2 - 1) * this.spawnDepthRange;  // Depth variation
+        const launchArea = this.getLaunchArea(spawnZ);
+        const spawnX = position.x ?? (Math.random() * 2 - 1) * launchArea.spawnRangeX;
+        const spawnY = position.y ?? launchArea.startY;            // Below visible screen area
         
         mesh.position.set(spawnX, spawnY, spawnZ);
         
-        // Add mesh to the 3D scene
-        this.sceneManager.getScene().add(mesh);
+        // Explicit launch velocity from scripted waves, random arc otherwise
+        const velocity = (launch && launch.velocity)
+            ? { x: launch.velocity.x ?? 0, y: launch.velocity.y ?? 0, z: launch.velocity.z ?? 0 }
+            : this.computeLaunchVelocity(spawnX, launchArea);
+        
+        /**
+         * Create rigid body for physics simulation
+         * 
+         * The body starts at the launch position with the launch velocity and
+         * a random spin. No damping, so arcs follow gravity exactly.
+         * Collision response stays off during the grace period after launch.
+         */
+        const body = new CANNON.Body({
+            mass: this.foodMass,
+            shape: selectedFoodType.physicsShape,
+            material: this.physicsMaterial,
+            linearDamping: 0,
+            angularDamping: 0.01
+        });
+        body.position.set(spawnX, spawnY, spawnZ);
+        body.velocity.set(velocity.x, velocity.y, velocity.z);
+        body.angularVelocity.set(
+            (Math.random() * 2 - 1) * this.maxSpin,
+            (Math.random() * 2 - 1) * this.maxSpin,
+            (Math.random() * 2 - 1) * this.maxSpin
+        );
+        body.collisionResponse = false;
+        
+        // Add mesh to the 3D scene and body to the physics world
+        const physicsObject = this.sceneManager.addPhysicsObject(mesh, body);
         
         /**
          * Create food tracking object
@@ -294,19 +661,113 @@ export class FoodSpawner {
          * - Type and category for scoring
          * - Mesh reference for visual updates
          * - Spawn time for age-based cleanup
-         * - Velocity for physics simulation
+         * - Physics body (position, velocity, spin come from the simulation)
+         * - Collision volume and tolerance for slice detection
+         * - Miss height below the frame at the item's depth
          */
         this.foods.push({
             type: selectedFoodType.name,
             category: selectedFoodType.category,
             mesh: mesh,
-            spawnTime: performance.now(),
-            velocity: {
-                x: (Math.random() - 0.5) * 0.1,    // Slight horizontal drift
-                y: 0,                              // No initial vertical velocity (gravity applies)
-                z: (Math.random() - 0.5) * 0.1     // Slight depth movement
+            body: body,
+            physicsObject: physicsObject,
+            collisionVolume: selectedFoodType.collisionVolume,
+            collisionTolerance: selectedFoodType.tolerance ?? this.defaultCollisionTolerance,
+            missY: launchArea.missY,
+            spawnTime: performance.now()
+        });
+    }
+    
+    /**
+     * Select a food type using weighted random selection
+     * 
+     * @returns {Object} Selected food type configuration
+     */
+    selectRandomFoodType() {
+        /**
+         * Weighted random selection algorithm
+         * 
+         * Implements fair weighted selection by:
+         * 1. Calculating total weight of all food types
+         * 2. Generating random number in range [0, totalWeight]
+         * 3. Iterating through types, subtracting weights until reaching 0
+         * 4. Selected type is where the counter reaches/crosses 0
+         */
+        const spawnableTypes = this.foodTypes.filter(type => {
+            // During the final burst only high-value categories spawn
+            if (this.finalBurstActive) {
+                return this.finalBurst.categories.includes(type.category);
             }
+            return this.hazardsEnabled || type.category !== 'hazard';
         });
+        const totalWeight = spawnableTypes.reduce((sum, type) => sum + type.weight, 0);
+        let randomWeight = Math.random() * totalWeight;
+        
+        let selectedFoodType = null;
+        for (const foodType of spawnableTypes) {
+            randomWeight -= foodType.weight;
+            if (randomWeight <= 0) {
+                selectedFoodType = foodType;
+                break;
+            }
+        }
+        
+        // Fallback safety - should never occur with correct weights
+        if (!selectedFoodType) {
+            selectedFoodType = spawnableTypes[0];
+        }
+        
+        return selectedFoodType;
+    }
+    
+    /**
+     * Look up a food type configuration by name
+     * 
+     * @param {string} name - Food type name (e.g., 'apple', 'bomb')
+     * @returns {Object|undefined} Food type configuration
+     */
+    getFoodType(name) {
+        return this.foodTypes.find(type => type.name === name);
+    }
+    
+    /**
+     * Compute a launch velocity that keeps the arc inside the play area
+     * 
+     * 1. Pick a random peak height inside the visible area and derive the
+     *    upward speed needed to reach it: v = sqrt(2 * g * height)
+     * 2. Pick a random sideways speed within the maximum launch angle
+     * 3. Clamp the sideways speed so the item is still within the horizontal
+     *    bounds when it falls back to launch height
+     * 
+     * @param {number} spawnX - Horizontal launch position
+     * @param {Object} config - Launch configuration for the item's depth (see getLaunchArea())
+     * @returns {Object} Launch velocity {x, y, z} in units per second
+     */
+    computeLaunchVelocity(spawnX, config = this.launchConfig) {
+        const gravity = -this.sceneManager.getGravity();
+        
+        // Upward speed from the desired peak height
+        const peakY = config.peakMinY + Math.random() * (config.peakMaxY - config.peakMinY);
+        const velocityY = Math.sqrt(2 * gravity * (peakY - config.startY));
+        
+        // Sideways speed limited by the launch angle
+        const maxAngle = THREE.MathUtils.degToRad(config.maxLaunchAngle);
+        const maxVelocityX = Math.tan(maxAngle) * velocityY;
+        let velocityX = (Math.random() * 2 - 1) * maxVelocityX;
+        
+        // Total flight time until the item is back at launch height
+        const flightTime = (2 * velocityY) / gravity;
+        
+        // Clamp so the landing position stays inside the horizontal bounds
+        const minVelocityX = (-config.boundsX - spawnX) / flightTime;
+        const maxVelocityXInBounds = (config.boundsX - spawnX) / flightTime;
+        velocityX = THREE.MathUtils.clamp(velocityX, minVelocityX, maxVelocityXInBounds);
+        
+        return {
+            x: velocityX,
+            y: velocityY,
+            z: (Math.random() - 0.5) * 0.1      // Slight depth movement
+        };
     }
     
     /**
@@ -328,75 +789,334 @@ export class FoodSpawner {
          */
         this.spawnTimer += deltaTime;
         
-        if (this.spawnTimer >= this.spawnInterval) {
+        // Scripted waves launch their own items on schedule
+        this.wavePlayer.update(deltaTime);
+        
+        if (this.spawnTimer >= this.spawnInterval && this.wavePlayer.allowsRandomSpawns()) {
             this.spawnFood();
             this.spawnTimer = 0;
             
-            // Randomize next spawn interval (0.5-1.3 seconds)
-            this.spawnInterval = 0.5 + Math.random() * 0.8;
+            if (this.finalBurstActive) {
+                // Fast spawning during the final burst
+                const [minInterval, maxInterval] = this.finalBurst.spawnInterval;
+                this.spawnInterval = minInterval + Math.random() * (maxInterval - minInterval);
+            } else {
+                // Randomize next spawn interval within the mode's range (default 0.5-1.3 seconds)
+                const [minInterval, maxInterval] = this.spawnIntervalRange;
+                this.spawnInterval = minInterval + Math.random() * (maxInterval - minInterval);
+            }
         }
         
         /**
-         * Update physics and perform cleanup for all active foods
+         * Manage physics state and perform cleanup for all active foods
          * 
-         * Iterates backwards through array to safely remove items during iteration.
-         * This prevents index shifting issues when removing multiple items.
+         * Motion itself is simulated by the physics world (stepped and synced
+         * by the scene manager). Iterates backwards through array to safely
+         * remove items during iteration.
          */
         for (let i = this.foods.length - 1; i >= 0; i--) {
             const food = this.foods[i];
-            const pos = food.mesh.position;
-            
-            /**
-             * Apply gravity acceleration
-             * 
-             * Gravity value (1.8) is tuned to feel natural while giving players
-             * sufficient time to react and perform slicing gestures.
-             */
-            food.velocity.y -= 1.8 * deltaTime;
-            
-            /**
-             * Update position based on velocity
-             * 
-             * Simple Euler integration for position updates.
-             * Sufficient accuracy for game objects with this time scale.
-             */
-            pos.x += food.velocity.x * deltaTime;
-            pos.y += food.velocity.y * deltaTime;
-            pos.z += food.velocity.z * deltaTime;
+            const pos = food.body.position;
+            const age = performance.now() - food.spawnTime;
             
-            /**
-             * Add natural rotation during fall
-             * 
-             * Slow rotation makes falling objects look more natural and organic.
-             * Different rotation speeds on different axes create varied motion.
-             */
-            food.mesh.rotation.x += 0.8 * deltaTime;
-            food.mesh.rotation.z += 0.4 * deltaTime;
+            // Enable collisions with other foods once the grace period is over
+            if (!food.body.collisionResponse && age > this.collisionGracePeriod) {
+                food.body.collisionResponse = true;
+            }
             
             /**
              * Cleanup conditions for off-screen or expired objects
              * 
              * Objects are removed if they:
-             * - Fall below visible screen area (y < -5)
+             * - Fall back below visible screen area (below missY while descending)
              * - Exceed maximum lifetime (15 seconds)
              * 
              * This prevents memory leaks and maintains performance.
+             * Either way the food left play unsliced, so it is reported as a miss.
+             * Hazards are meant to be avoided and never count as misses.
              */
-            const age = performance.now() - food.spawnTime;
             const shouldRemove = (
-                pos.y < -5 ||          // Below screen boundary
+                (pos.y < food.missY && food.body.velocity.y < 0) ||   // Fell below screen boundary
                 age > 15000            // Maximum lifetime reached
             );
             
             if (shouldRemove) {
-                // Remove from 3D scene
-                this.sceneManager.getScene().remove(food.mesh);
+                // Remove from 3D scene and physics world
+                this.sceneManager.removePhysicsObject(food.physicsObject);
                 // Remove from tracking array
                 this.foods.splice(i, 1);
+                
+                // Notify listeners (game logic) about the missed food
+                if (this.onFoodMissed && food.category !== 'hazard') {
+                    this.onFoodMissed(food);
+                }
+            }
+        }
+        
+        // Fade out and clean up sliced pieces
+        this.updateDebris();
+    }
+    
+    /**
+     * Remove a single food object from the scene and tracking array
+     * 
+     * Used when food is sliced so that it does not count as a miss.
+     * 
+     * @param {Object} food - Food object to remove
+     * @returns {boolean} True if the food was found and removed
+     */
+    removeFood(food) {
+        const index = this.foods.indexOf(food);
+        if (index === -1) return false;
+        
+        this.sceneManager.removePhysicsObject(food.physicsObject);
+        this.foods.splice(index, 1);
+        return true;
+    }
+    
+    /**
+     * Remove all active food objects
+     * 
+     * Used when a run ends or the game is reset. Cleared foods are not
+     * reported as misses.
+     */
+    clearFoods() {
+        for (const food of this.foods) {
+            this.sceneManager.removePhysicsObject(food.physicsObject);
+        }
+        this.foods.length = 0;
+        this.spawnTimer = 0;
+        
+        while (this.debris.length > 0) {
+            this.removeDebris(this.debris[0]);
+        }
+    }
+    
+    /**
+     * Slice a food object into pieces
+     * 
+     * Removes the food from play and replaces it with physics pieces. Models
+     * with authored cut pieces swap their whole node for those pieces; all
+     * other models are cut in two along the given plane. If the plane misses
+     * the visible geometry (for example when the fingertip only grazed the
+     * collision box), the cut is moved to the food's center with the same orientation.
+     * 
+     * @param {Object} food - Food object to slice
+     * @param {THREE.Plane} plane - Cutting plane in world coordinates
+     * @returns {boolean} True if the food was found and removed
+     */
+    sliceFood(food, plane) {
+        if (!this.removeFood(food)) return false;
+        
+        const foodType = this.getFoodType(food.type);
+        
+        // Hand-made cut state from the model, if the asset provides one
+        if (foodType.nodes) {
+            const authoredPieces = this.createAuthoredPieces(food.mesh, foodType.nodes);
+            if (authoredPieces.length > 0) {
+                authoredPieces.forEach(piece => this.spawnDebris(piece, food.body));
+                return true;
+            }
+        }
+        
+        const capMaterial = new THREE.MeshStandardMaterial({
+            color: foodType.interiorColor ?? 0xfff1c9,
+            roughness: 0.8,
+            metalness: 0.0
+        });
+        
+        let pieces = this.meshSlicer.slice(food.mesh, plane, capMaterial);
+        if (!pieces) {
+            const centerPlane = new THREE.Plane().setFromNormalAndCoplanarPoint(plane.normal, food.mesh.position);
+            pieces = this.meshSlicer.slice(food.mesh, centerPlane, capMaterial);
+        }
+        capMaterial.dispose();
+        
+        if (pieces) {
+            // Pieces fly apart along the plane normal, on top of the food's own motion
+            this.spawnDebris(pieces.front, food.body, plane.normal.clone());
+            this.spawnDebris(pieces.back, food.body, plane.normal.clone().negate());
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Build debris pieces from a model's authored cut nodes
+     * 
+     * Each piece node takes the place of the whole node. Its meshes are baked
+     * into the food's local frame, matching the layout of procedurally cut
+     * pieces, so both kinds go through the same debris handling.
+     * 
+     * @param {THREE.Object3D} object - Root of the sliced food model
+     * @param {Object} nodes - Node names from the food catalog ({ whole, pieces })
+     * @returns {Array} Piece groups positioned where the food was (empty if nodes are missing)
+     */
+    createAuthoredPieces(object, nodes) {
+        object.updateWorldMatrix(true, true);
+        
+        const whole = object.getObjectByName(nodes.whole);
+        if (!whole) {
+            console.warn(`Whole node "${nodes.whole}" not found, falling back to procedural cut`);
+            return [];
+        }
+        
+        const worldToLocal = object.matrixWorld.clone().invert();
+        const pieces = [];
+        
+        for (const name of nodes.pieces) {
+            const node = object.getObjectByName(name);
+            if (!node) {
+                console.warn(`Piece node "${name}" not found`);
+                continue;
+            }
+            
+            // Piece node space -> whole node's world placement -> food local space
+            const pieceToLocal = worldToLocal.clone()
+                .multiply(whole.matrixWorld)
+                .multiply(node.matrixWorld.clone().invert());
+            
+            const piece = new THREE.Group();
+            node.traverse((child) => {
+                if (!child.isMesh) return;
+                
+                const geometry = child.geometry.clone();
+                geometry.applyMatrix4(pieceToLocal.clone().multiply(child.matrixWorld));
+                
+                const mesh = new THREE.Mesh(geometry, child.material.clone());
+                mesh.castShadow = true;
+                mesh.receiveShadow = true;
+                piece.add(mesh);
+            });
+            
+            if (piece.children.length === 0) continue;
+            
+            piece.position.setFromMatrixPosition(object.matrixWorld);
+            piece.quaternion.setFromRotationMatrix(object.matrixWorld);
+            pieces.push(piece);
+        }
+        
+        return pieces;
+    }
+    
+    /**
+     * Add a sliced piece to the scene as a physics body
+     * 
+     * The piece geometry is re-centered on its own bounds so that the body's
+     * center of mass sits in the middle of the piece, which makes it tumble
+     * around the right point.
+     * 
+     * @param {THREE.Group} piece - Piece created by the mesh slicer or from authored nodes
+     * @param {CANNON.Body} sourceBody - Body of the sliced food (velocity source)
+     * @param {THREE.Vector3|null} direction - Direction pushing this piece away from the cut;
+     *                                         null pushes it away from the food's center
+     */
+    spawnDebris(piece, sourceBody, direction = null) {
+        // Keep the number of pieces bounded
+        if (this.debris.length >= this.maxDebris) {
+            this.removeDebris(this.debris[0]);
+        }
+        
+        // Re-center piece geometry in the piece's local space
+        const bounds = new THREE.Box3();
+        piece.children.forEach(child => {
+            child.geometry.computeBoundingBox();
+            bounds.union(child.geometry.boundingBox);
+        });
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+        
+        piece.children.forEach(child => child.geometry.translate(-center.x, -center.y, -center.z));
+        piece.position.add(center.applyQuaternion(piece.quaternion));
+        
+        if (!direction) {
+            direction = center.lengthSq() > 0 ? center.clone().normalize() : new THREE.Vector3(0, 1, 0);
+        }
+        
+        const body = new CANNON.Body({
+            mass: this.debrisMass,
+            shape: new CANNON.Box(new CANNON.Vec3(
+                Math.max(size.x / 2, 0.01),
+                Math.max(size.y / 2, 0.01),
+                Math.max(size.z / 2, 0.01)
+            )),
+            collisionFilterMask: 0,
+            linearDamping: 0,
+            angularDamping: 0.01
+        });
+        body.position.set(piece.position.x, piece.position.y, piece.position.z);
+        body.quaternion.set(piece.quaternion.x, piece.quaternion.y, piece.quaternion.z, piece.quaternion.w);
+        
+        body.velocity.set(
+            sourceBody.velocity.x + direction.x * this.debrisSeparationSpeed,
+            sourceBody.velocity.y + direction.y * this.debrisSeparationSpeed,
+            sourceBody.velocity.z + direction.z * this.debrisSeparationSpeed
+        );
+        body.angularVelocity.set(
+            sourceBody.angularVelocity.x + (Math.random() * 2 - 1) * this.maxSpin,
+            sourceBody.angularVelocity.y + (Math.random() * 2 - 1) * this.maxSpin,
+            sourceBody.angularVelocity.z + (Math.random() * 2 - 1) * this.maxSpin
+        );
+        
+        // Materials become transparent so the piece can fade out
+        const materials = piece.children.map(child => child.material);
+        materials.forEach(material => {
+            material.transparent = true;
+        });
+        
+        const physicsObject = this.sceneManager.addPhysicsObject(piece, body);
+        
+        this.debris.push({
+            mesh: piece,
+            body: body,
+            physicsObject: physicsObject,
+            materials: materials,
+            spawnTime: performance.now()
+        });
+    }
+    
+    /**
+     * Fade sliced pieces and remove them at the end of their lifetime
+     */
+    updateDebris() {
+        const now = performance.now();
+        
+        for (let i = this.debris.length - 1; i >= 0; i--) {
+            const piece = this.debris[i];
+            const age = now - piece.spawnTime;
+            
+            if (age > this.debrisLifetime || piece.body.position.y < this.launchConfig.missY - 1) {
+                this.removeDebris(piece);
+                continue;
             }
+            
+            // Linear fade over the last part of the lifetime
+            const fadeStart = this.debrisLifetime - this.debrisFadeTime;
+            const opacity = age < fadeStart ? 1 : 1 - (age - fadeStart) / this.debrisFadeTime;
+            piece.materials.forEach(material => {
+                material.opacity = opacity;
+            });
         }
     }
     
+    /**
+     * Remove a sliced piece and release its GPU resources
+     * 
+     * Pieces own their geometry and materials (created by the slicer),
+     * so both are disposed here.
+     * 
+     * @param {Object} piece - Debris object to remove
+     */
+    removeDebris(piece) {
+        const index = this.debris.indexOf(piece);
+        if (index === -1) return;
+        
+        this.sceneManager.removePhysicsObject(piece.physicsObject);
+        piece.mesh.children.forEach(child => child.geometry.dispose());
+        piece.materials.forEach(material => material.dispose());
+        this.debris.splice(index, 1);
+    }
+    
     /**
      * Get current number of active food objects
      * 
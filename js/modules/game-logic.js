@@ -8,7 +8,12 @@
  * Key responsibilities:
  * - Manage scoring system with category-based points and special bonuses
  * - Implement combo multiplier system for consecutive hits
+ * - Award multi-slice bonuses for several items cut in one stroke
+ * - Queue HUD announcements for notable events
  * - Handle level progression based on game time
+ * - Track lives and detect the end of a run
+ * - Apply penalties for slicing hazards
+ * - Apply game mode rules such as time limits
  * - Track comprehensive game statistics
  * - Provide game state management (reset, progression tracking)
  * - Calculate performance metrics and achievements
@@ -57,6 +62,10 @@ export class GameLogic {
             // Other fruits use standard category points
         };
         
+        // Default score tables, restored when a mode does not define its own
+        this.defaultPointsByCategory = { ...this.pointsByCategory };
+        this.defaultSpecialBonuses = { ...this.specialBonuses };
+        
         /**
          * Combo system configuration
          * 
@@ -66,6 +75,84 @@ export class GameLogic {
         this.combo = 0;                 // Current combo streak count
         this.lastSliceTime = 0;         // Timestamp of last successful slice
         this.comboTimeout = 2000;       // Time window to maintain combo (2 seconds)
+        
+        /**
+         * Clean cut bonus configuration
+         * 
+         * Rewards swipes that pass close to the middle of an item. The slice's
+         * center offset runs from 0 (straight through the center) to 1 (edge).
+         */
+        this.cleanCutThreshold = 0.25;  // Maximum center offset that counts as a clean cut
+        this.cleanCutBonus = 10;        // Extra points per clean cut (multiplied by level)
+        this.cleanCuts = 0;             // Total number of clean cuts
+        
+        /**
+         * Multi-slice bonus configuration
+         * 
+         * A stroke is one continuous swipe of a fingertip (detected by the
+         * collision detector). Cutting several items in a single stroke earns
+         * a bonus on top of, and independent from, the time-based combo.
+         */
+        this.minMultiSlice = 3;         // Items needed in one stroke for the bonus
+        this.multiSliceBonus = 10;      // Points per item in a multi-slice (multiplied by level)
+        this.multiSlices = 0;           // Total number of multi-slices
+        this.bestMultiSlice = 0;        // Most items cut in a single stroke
+        
+        // Pending messages for the HUD, drained by the main application
+        this.announcements = [];
+        
+        /**
+         * Lives system configuration
+         * 
+         * Every unsliced food that leaves play costs one life (three strikes).
+         * Losing the last life ends the run and moves the game into game over.
+         */
+        this.maxLives = 3;              // Lives available at the start of a run
+        this.lives = this.maxLives;     // Lives remaining in the current run
+        this.missedFoods = 0;           // Total number of foods that left play unsliced
+        this.gameOver = false;          // Set when the last life is lost
+        
+        /**
+         * Hazard configuration
+         * 
+         * Slicing a hazard (bomb) costs points and a life, or ends the run
+         * outright when hazardEndsRun is enabled.
+         */
+        this.hazardPenalty = 50;        // Points removed when a hazard is sliced
+        this.hazardEndsRun = false;     // True = any hazard hit is instant game over
+        this.hazardsHit = 0;            // Total number of hazards sliced
+        
+        /**
+         * Mode rules
+         * 
+         * Set through applyMode(). Defaults match the endless mode:
+         * no time limit, misses counted and lives enabled.
+         */
+        this.timeLimit = null;          // Round length in seconds (null = no limit)
+        this.livesEnabled = true;       // Whether misses and hazards cost lives
+        this.missesEnabled = true;      // Whether unsliced food counts as a miss
+        this.endReason = null;          // 'lives' or 'time' once the run has ended
+        this.slicedByCategory = {};     // Sliced food count per category
+    }
+    
+    /**
+     * Apply the rules of a game mode
+     * 
+     * Configures the time limit, miss and lives rules and the score table,
+     * then resets the game so the new rules apply from the first frame of the run.
+     * 
+     * @param {Object} mode - Game mode definition (see game-modes.js)
+     */
+    applyMode(mode) {
+        this.timeLimit = mode.duration;
+        this.livesEnabled = mode.livesEnabled;
+        this.missesEnabled = mode.missesEnabled;
+        
+        // Modes may bring their own score table, otherwise use the defaults
+        this.pointsByCategory = { ...(mode.pointsByCategory || this.defaultPointsByCategory) };
+        this.specialBonuses = { ...(mode.specialBonuses || this.defaultSpecialBonuses) };
+        
+        this.reset();
     }
     
     /**
@@ -75,8 +162,12 @@ export class GameLogic {
      * Called every frame to ensure smooth progression and responsive feedback.
      * 
      * @param {number} deltaTime - Time elapsed since last frame in seconds
+     * @param {number} time - Current time in milliseconds (defaults to now)
      */
-    update(deltaTime) {
+    update(deltaTime, time = performance.now()) {
+        // Freeze progression once the run has ended
+        if (this.gameOver) return;
+        
         // Accumulate total game time
         this.gameTime += deltaTime;
         
@@ -90,13 +181,24 @@ export class GameLogic {
          */
         this.level = Math.floor(this.gameTime / 30) + 1;
         
+        /**
+         * Time limit for timed modes
+         * 
+         * The run ends as soon as the clock reaches the mode's time limit.
+         */
+        if (this.timeLimit !== null && this.gameTime >= this.timeLimit) {
+            this.gameTime = this.timeLimit;
+            this.endRun('time');
+            return;
+        }
+        
         /**
          * Combo timeout management
          * 
          * Reset combo if too much time has passed since last slice.
          * This encourages continuous action and prevents combo abuse.
          */
-        if (performance.now() - this.lastSliceTime > this.comboTimeout) {
+        if (time - this.lastSliceTime > this.comboTimeout) {
             this.combo = 0;
         }
     }
@@ -110,9 +212,11 @@ export class GameLogic {
      * 
      * @param {string} foodType - Specific type of food sliced (e.g., 'apple', 'burger')
      * @param {string} foodCategory - Category of food sliced (e.g., 'fruit', 'main')
+     * @param {Object|null} slice - Optional swipe analysis from the collision detector (centerOffset, angle)
+     * @param {number} time - Time of the slice in milliseconds (defaults to now)
      * @returns {Object} Detailed scoring result for UI feedback and effects
      */
-    sliceFood(foodType, foodCategory) {
+    sliceFood(foodType, foodCategory, slice = null, time = performance.now()) {
         /**
          * Calculate base points using hierarchy system
          * 
@@ -142,9 +246,14 @@ export class GameLogic {
          * - First slice: No combo bonus (1x multiplier)
          * - Subsequent slices: +10% per combo level, capped at 2x
          * - Updates combo counter and timestamp for next calculation
+         * The window is checked here as well, so the combo does not depend
+         * on update() having run between two slices.
          */
+        if (time - this.lastSliceTime > this.comboTimeout) {
+            this.combo = 0;
+        }
         this.combo++;
-        this.lastSliceTime = performance.now();
+        this.lastSliceTime = time;
         
         if (this.combo > 1) {
             // Calculate combo multiplier: 1.1x, 1.2x, 1.3x, etc., max 2.0x
@@ -152,6 +261,17 @@ export class GameLogic {
             points = Math.floor(points * comboMultiplier);
         }
         
+        /**
+         * Clean cut bonus
+         * 
+         * Added after the combo multiplier, so it stays a flat reward for accuracy.
+         */
+        const cleanCut = Boolean(slice) && slice.centerOffset <= this.cleanCutThreshold;
+        if (cleanCut) {
+            points += this.cleanCutBonus * this.level;
+            this.cleanCuts++;
+        }
+        
         /**
          * Update game statistics
          * 
@@ -159,6 +279,7 @@ export class GameLogic {
          */
         this.score += points;
         this.foodsSliced++;
+        this.slicedByCategory[foodCategory] = (this.slicedByCategory[foodCategory] || 0) + 1;
         
         /**
          * Provide detailed feedback for UI and effects
@@ -169,6 +290,9 @@ export class GameLogic {
         if (this.combo > 1) {
             message += ` (COMBO x${this.combo}!)`;
         }
+        if (cleanCut) {
+            message += ' (CLEAN CUT!)';
+        }
         console.log(message);
         
         /**
@@ -184,10 +308,202 @@ export class GameLogic {
             points: points,
             combo: this.combo,
             category: foodCategory,
-            level: this.level
+            level: this.level,
+            cleanCut: cleanCut
         };
     }
     
+    /**
+     * Register a food that left play without being sliced
+     * 
+     * Each miss costs one life. When no lives remain the run is flagged as over
+     * so the main application can switch to the game over state.
+     * 
+     * @param {string} foodType - Specific type of food missed (e.g., 'apple', 'burger')
+     * @param {string} foodCategory - Category of food missed (e.g., 'fruit', 'main')
+     * @returns {Object} Miss result with remaining lives and game over flag
+     */
+    registerMiss(foodType, foodCategory) {
+        // Ignore misses after the run has already ended
+        if (this.gameOver) {
+            return { livesRemaining: 0, gameOver: true };
+        }
+        
+        // Modes without misses (zen) ignore unsliced food entirely
+        if (!this.missesEnabled) {
+            return { livesRemaining: this.lives, gameOver: false };
+        }
+        
+        this.missedFoods++;
+        
+        // Missing food also breaks the current combo streak
+        this.combo = 0;
+        
+        // Modes without lives only count the miss
+        if (!this.livesEnabled) {
+            console.log(`Missed ${foodType} (${foodCategory})!`);
+            return { livesRemaining: this.lives, gameOver: false };
+        }
+        
+        this.lives = Math.max(0, this.lives - 1);
+        
+        if (this.lives === 0) {
+            this.endRun('lives');
+            console.log(`Missed ${foodType} (${foodCategory})! Game over`);
+        } else {
+            console.log(`Missed ${foodType} (${foodCategory})! ${this.lives} lives left`);
+        }
+        
+        return {
+            livesRemaining: this.lives,
+            gameOver: this.gameOver
+        };
+    }
+    
+    /**
+     * Process a finished stroke
+     * 
+     * Called by the collision detector when a fingertip's swipe ends.
+     * Strokes that cut at least minMultiSlice items earn a bonus of
+     * multiSliceBonus points per item, multiplied by the level.
+     * 
+     * @param {number} sliceCount - Number of items cut during the stroke
+     * @returns {Object|null} Multi-slice result, or null if no bonus was awarded
+     */
+    registerStroke(sliceCount) {
+        if (this.gameOver || sliceCount < this.minMultiSlice) return null;
+        
+        const bonus = sliceCount * this.multiSliceBonus * this.level;
+        this.score += bonus;
+        this.multiSlices++;
+        this.bestMultiSlice = Math.max(this.bestMultiSlice, sliceCount);
+        
+        this.announce(`${sliceCount}x MULTI-SLICE! +${bonus}`, 'multiSlice');
+        console.log(`Multi-slice of ${sliceCount} items! +${bonus} points`);
+        
+        return {
+            count: sliceCount,
+            bonus: bonus
+        };
+    }
+    
+    /**
+     * Queue a message for the HUD
+     * 
+     * @param {string} text - Message to display
+     * @param {string} type - Message type for styling (e.g., 'multiSlice')
+     */
+    announce(text, type = 'info') {
+        this.announcements.push({ text, type, time: performance.now() });
+    }
+    
+    /**
+     * Take all pending HUD announcements
+     * 
+     * @returns {Array} Announcements queued since the last call, oldest first
+     */
+    consumeAnnouncements() {
+        const announcements = this.announcements;
+        this.announcements = [];
+        return announcements;
+    }
+    
+    /**
+     * Process a sliced hazard
+     * 
+     * Applies the score penalty, breaks the combo and removes a life
+     * (or all lives if hazards end the run). Modes without lives only
+     * apply the score penalty.
+     * 
+     * @param {string} foodType - Specific type of hazard sliced (e.g., 'bomb')
+     * @returns {Object} Hazard result for UI feedback and effects
+     */
+    hitHazard(foodType) {
+        // Ignore hazards after the run has already ended
+        if (this.gameOver) {
+            return { penalty: 0, livesRemaining: 0, gameOver: true };
+        }
+        
+        // Penalty never takes the score below zero
+        const penalty = Math.min(this.hazardPenalty, this.score);
+        this.score -= penalty;
+        this.hazardsHit++;
+        
+        // Hazards always break the combo streak
+        this.combo = 0;
+        
+        if (this.livesEnabled) {
+            this.lives = this.hazardEndsRun ? 0 : Math.max(0, this.lives - 1);
+            if (this.lives === 0) {
+                this.endRun('lives');
+            }
+        }
+        
+        console.log(`💥 Hit ${foodType}! -${penalty} points, ${this.lives} lives left`);
+        
+        return {
+            penalty: penalty,
+            livesRemaining: this.lives,
+            gameOver: this.gameOver
+        };
+    }
+    
+    /**
+     * Mark the current run as finished
+     * 
+     * @param {string} reason - Why the run ended ('lives' or 'time')
+     */
+    endRun(reason) {
+        this.gameOver = true;
+        this.endReason = reason;
+    }
+    
+    /**
+     * Get the reason the run ended
+     * 
+     * @returns {string|null} 'lives', 'time' or null while the run is active
+     */
+    getEndReason() {
+        return this.endReason;
+    }
+    
+    /**
+     * Get remaining time in timed modes
+     * 
+     * @returns {number|null} Seconds left in the round, or null without a time limit
+     */
+    getTimeRemaining() {
+        if (this.timeLimit === null) return null;
+        return Math.max(0, this.timeLimit - this.gameTime);
+    }
+    
+    /**
+     * Check whether the current run has ended
+     * 
+     * @returns {boolean} True if all lives have been lost
+     */
+    isGameOver() {
+        return this.gameOver;
+    }
+    
+    /**
+     * Get remaining lives
+     * 
+     * @returns {number} Lives left in the current run
+     */
+    getLives() {
+        return this.lives;
+    }
+    
+    /**
+     * Get total missed foods count
+     * 
+     * @returns {number} Total number of foods that left play unsliced
+     */
+    getMissedFoods() {
+        return this.missedFoods;
+    }
+    
     /**
      * Get current total score
      * 
@@ -247,6 +563,14 @@ export class GameLogic {
             totalSliced: this.foodsSliced,
             currentLevel: this.level,
             currentCombo: this.combo,
+            totalMissed: this.missedFoods,
+            hazardsHit: this.hazardsHit,
+            cleanCuts: this.cleanCuts,
+            multiSlices: this.multiSlices,
+            bestMultiSlice: this.bestMultiSlice,
+            livesRemaining: this.lives,
+            gameTime: this.gameTime,
+            slicedByCategory: { ...this.slicedByCategory },
             avgPointsPerSlice: this.foodsSliced > 0 ? Math.round(this.score / this.foodsSliced) : 0
         };
     }
@@ -264,6 +588,16 @@ export class GameLogic {
         this.gameTime = 0;
         this.combo = 0;
         this.lastSliceTime = 0;
+        this.lives = this.maxLives;
+        this.missedFoods = 0;
+        this.hazardsHit = 0;
+        this.cleanCuts = 0;
+        this.multiSlices = 0;
+        this.bestMultiSlice = 0;
+        this.announcements = [];
+        this.gameOver = false;
+        this.endReason = null;
+        this.slicedByCategory = {};
     }
     
     /**
@@ -0,0 +1,128 @@
+/**
+ * Game Mode Definitions
+ * 
+ * Each mode is a plain rule set that the main application hands to
+ * GameLogic.applyMode() and FoodSpawner.applyMode(). Modes only describe
+ * rules; the systems themselves stay shared between all modes.
+ * 
+ * Mode properties:
+ * - name: Identifier used for selection (keyboard shortcut, URL parameter)
+ * - label: Human readable name for the HUD and results screen
+ * - duration: Round length in seconds, or null for no time limit
+ * - livesEnabled: Whether misses and hazards cost lives (and can end the run)
+ * - missesEnabled: Whether unsliced food counts as a miss at all
+ * - hazardsEnabled: Whether hazards (bombs) spawn
+ * - spawnInterval: [min, max] seconds between regular spawns
+ * - spawnDepth: Optional depth range; items spawn in [-spawnDepth, +spawnDepth] (default 1)
+ * - depthChallenge: Optional; the hand must be at an item's depth to slice it
+ * - pointsByCategory / specialBonuses: Optional score table overriding the defaults
+ * - waves: Optional path to a scripted wave definition (see wave-player.js)
+ * - finalBurst: Optional high-value spawn burst at the end of a timed round
+ *   - duration: Seconds before the end when the burst starts
+ *   - spawnInterval: [min, max] seconds between spawns during the burst
+ *   - categories: Food categories allowed to spawn during the burst
+ */
+export const GAME_MODES = {
+    /**
+     * Endless mode
+     * 
+     * The original game loop: no time limit, three lives, play until
+     * the last life is lost.
+     */
+    endless: {
+        name: 'endless',
+        label: 'Endless',
+        duration: null,
+        livesEnabled: true,
+        missesEnabled: true,
+        hazardsEnabled: true,
+        spawnInterval: [0.5, 1.3],
+        finalBurst: null
+    },
+    
+    /**
+     * Arcade mode
+     * 
+     * Fixed 60 second round for short demo sessions. Misses do not end the run,
+     * bombs only cost points and the combo, scripted set pieces play between
+     * random spawns, and the last seconds switch to a fast burst of high-value items.
+     */
+    arcade: {
+        name: 'arcade',
+        label: 'Arcade',
+        duration: 60,
+        livesEnabled: false,
+        missesEnabled: true,
+        hazardsEnabled: true,
+        spawnInterval: [0.5, 1.3],
+        waves: 'assets/waves/arcade.json',
+        finalBurst: {
+            duration: 5,
+            spawnInterval: [0.15, 0.3],
+            categories: ['main', 'dessert']
+        }
+    },
+    
+    /**
+     * Zen mode
+     * 
+     * Relaxed 90 second session without punishment: no misses, no bombs,
+     * no game over before the time runs out. Spawns are slower and use
+     * a flatter score table so every item feels worth slicing.
+     */
+    zen: {
+        name: 'zen',
+        label: 'Zen',
+        duration: 90,
+        livesEnabled: false,
+        missesEnabled: false,
+        hazardsEnabled: false,
+        spawnInterval: [1.0, 1.8],
+        finalBurst: null,
+        pointsByCategory: {
+            fruit: 10,
+            main: 20,
+            dessert: 15,
+            tableware: 10
+        },
+        specialBonuses: {}
+    },
+    
+    /**
+     * Depth mode
+     * 
+     * Endless rules, but items spread further in depth and only a hand
+     * at the right distance from the camera slices them. Nearer items look
+     * larger, farther ones smaller. Best played after calibrating depth (C).
+     */
+    depth: {
+        name: 'depth',
+        label: 'Depth',
+        duration: null,
+        livesEnabled: true,
+        missesEnabled: true,
+        hazardsEnabled: true,
+        spawnInterval: [0.8, 1.6],
+        spawnDepth: 1.5,
+        depthChallenge: true,
+        finalBurst: null
+    }
+};
+
+/**
+ * Default mode used when no valid mode is selected
+ */
+export const DEFAULT_GAME_MODE = 'endless';
+
+/**
+ * Look up a game mode by name
+ * 
+ * Falls back to the default mode for unknown names so that a bad URL
+ * parameter never prevents the game from starting.
+ * 
+ * @param {string} name - Mode name (e.g., 'arcade')
+ * @returns {Object} Game mode definition
+ */
+export function getGameMode(name) {
+    return Object.hasOwn(GAME_MODES, name) ? GAME_MODES[name] : GAME_MODES[DEFAULT_GAME_MODE];
+}
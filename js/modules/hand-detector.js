@@ -1,5 +1,9 @@
-import * as vision from 'vision';
 import * as THREE from 'three';
+import { HandTracker } from './hand-tracker.js';
+import { LandmarkFilter } from './landmark-filter.js';
+import { DepthEstimator } from './depth-estimator.js';
+import { DetectionScheduler } from './detection-scheduler.js';
+import { getTrackingConfig, createHandLandmarker } from './tracking-config.js';
 
 /**
  * Hand Detector Class
@@ -9,107 +13,162 @@ import * as THREE from 'three';
  * converting them to 3D world coordinates, and tracking finger movements for game interaction.
  * 
  * Key responsibilities:
- * - Initialize and configure MediaPipe HandLandmarker
+ * - Initialize and configure MediaPipe HandLandmarker (in a worker when possible)
  * - Process video frames for hand detection in real-time
- * - Convert 2D screen coordinates to 3D world coordinates
- * - Track index finger position and velocity for precise slicing
- * - Implement velocity smoothing for stable interaction
+ * - Interpolate between detection results so the game runs at display rate
+ * - Convert 2D video coordinates to 3D world coordinates on the play plane
+ * - Estimate hand depth from the apparent palm size (calibrated per player)
+ * - Track all fingertips and the palm edge with position and velocity for slicing
+ * - Filter landmark jitter (One Euro filter) and derive velocity and acceleration
+ * - Predict fingertip positions a short time ahead to compensate for latency
  * - Provide coordinate mapping between camera and 3D scene
- * - Handle multiple hands and fingertip tracking
+ * - Handle multiple hands with persistent identity and fingertip tracking
  */
 export class HandDetector {
     /**
      * Constructor for HandDetector
      * 
      * @param {HTMLVideoElement} videoElement - Video element providing camera feed
-     * @param {THREE.Camera} camera - Three.js camera for coordinate transformations
+     * @param {PlayPlane} playPlane - Play plane for coordinate transformations
+     * @param {Object} config - Tracking configuration (asset paths, model, delegate, thresholds; see tracking-config.js)
      */
-    constructor(videoElement, camera) {
+    constructor(videoElement, playPlane, config = getTrackingConfig()) {
         this.videoElement = videoElement;
-        this.camera = camera;
+        this.playPlane = playPlane;
+        this.config = config;
         
         // MediaPipe components
-        this.handLandmarker = null;     // MediaPipe hand detection instance
+        this.handLandmarker = null;     // MediaPipe hand detection instance (main thread mode)
+        this.delegate = null;           // Delegate in use ('GPU' or 'CPU') once initialized
         this.isReady = false;           // Initialization status flag
         
+        /**
+         * Detection worker
+         * 
+         * Inference runs in a Web Worker so that slow detection does not
+         * lower the frame rate. If the worker cannot be started, detection
+         * falls back to the main thread.
+         */
+        this.useWorker = true;          // Try to run detection in a worker
+        this.worker = null;             // Detection worker, if running
+        this.workerBusy = false;        // Whether a frame is being processed by the worker
+        this.detectionMode = null;      // 'worker' or 'main' once initialized
+        this.inferenceTime = 0;         // Duration of the last detection in milliseconds
+        this.scheduler = new DetectionScheduler();  // Adapts the detection rate to the frame rate
+        
         // Hand tracking state
-        this.hands = [];                // Array of currently detected hands
+        this.hands = [];                // Hands at the current render time (interpolated)
         this.lastDetectionTime = 0;     // Timestamp of last successful detection
+        this.handTracker = new HandTracker();   // Persistent hand IDs across frames
         
         /**
-         * Velocity tracking system for gesture recognition
+         * Detection snapshots for interpolation
          * 
-         * Tracks fingertip movement speed to differentiate between:
+         * Each detection result becomes a snapshot stamped with the capture
+         * time of its video frame. Every render frame the hands are
+         * interpolated between the last two snapshots at a render time that
+         * lags by the measured detection delay, so movement stays smooth
+         * even when results arrive less often than frames are drawn. If the
+         * next result is late, the hands are extrapolated along their
+         * velocity for a short while.
+         */
+        this.previousSnapshot = null;   // Second newest detection result
+        this.latestSnapshot = null;     // Newest detection result
+        this.interpolationDelay = 0;    // Smoothed delay between capture and display (ms)
+        this.delaySmoothing = 0.9;      // Weight of the previous delay estimate
+        this.maxExtrapolationTime = 100;    // Longest extrapolation past the newest snapshot (ms)
+        this.resultTimeout = 500;           // Hands are dropped when no result arrives for this long (ms)
+        
+        // Called with (results, timestamp) for every raw detection result (e.g., by the SessionRecorder)
+        this.onDetection = null;
+        
+        /**
+         * Landmark filtering and motion tracking
+         * 
+         * Every landmark runs through a One Euro filter that removes jitter
+         * at rest but follows fast swipes with little lag. The filter also
+         * provides the velocity used to differentiate between:
          * - Slow movements (positioning/hovering)
          * - Fast movements (slicing gestures)
+         * Tune at runtime with landmarkFilter.configure({ minCutoff, beta, ... }).
+         */
+        this.landmarkFilter = new LandmarkFilter();
+        this.previousFingertips = new Map();    // Previous positions for swept collision tests
+        
+        /**
+         * Recent path of each fingertip
+         * 
+         * Short trail of timestamped positions used to work out where the
+         * player actually swiped (slice direction and angle).
          */
-        this.previousFingertips = new Map();    // Previous positions for velocity calculation
-        this.velocityHistory = new Map();       // Rolling velocity history for smoothing
-        this.maxVelocityHistory = 5;            // Frames to average for smooth velocity
+        this.fingertipPaths = new Map();        // Recent {position, time} samples per fingertip
+        this.pathDuration = 250;                // Milliseconds of path to keep
+        this.maxPathLength = 12;                // Maximum samples per path
         
         /**
-         * Precision slicing configuration
+         * Tracked hand points
          * 
-         * Only tracks index finger (landmark 8) for precise control.
-         * This reduces false positives and improves accuracy compared to
-         * tracking all fingertips which can cause accidental slices.
+         * All five fingertips plus the pinky knuckle (the outer edge of the
+         * palm) are tracked. Which of them actually slice is decided by the
+         * active blade preset (see blade-presets.js), so tracking all of them
+         * does not cause accidental slices.
          */
-        this.fingertipIndices = [8];    // MediaPipe index: 8 = index fingertip
+        this.fingertipTypes = {
+            4: 'thumb',                 // Thumb tip
+            8: 'index',                 // Index fingertip
+            12: 'middle',               // Middle fingertip
+            16: 'ring',                 // Ring fingertip
+            20: 'pinky',                // Pinky fingertip
+            17: 'palmEdge'              // Pinky knuckle, outer edge of the open palm
+        };
+        this.fingertipIndices = Object.keys(this.fingertipTypes).map(Number);
         
         /**
          * Coordinate system parameters
          * 
-         * MediaPipe returns normalized coordinates [0,1] that need conversion
-         * to Three.js world coordinates for proper 3D interaction.
+         * MediaPipe returns normalized coordinates [0,1] that are unprojected
+         * through the scene camera onto the play plane. The hand as a whole is
+         * moved off the plane by its estimated distance from the camera;
+         * landmark depth (relative to the wrist, negative towards the camera)
+         * then adds the shape of the hand.
          */
-        this.videoWidth = 1280;         // Reference video width for coordinate mapping
-        this.videoHeight = 720;         // Reference video height for coordinate mapping
+        this.depthScale = 2;            // World units of depth offset per unit of landmark z
+        this.depthEstimator = new DepthEstimator();     // Hand distance from apparent palm size
+        
+        /**
+         * Latency compensation
+         * 
+         * By the time a detection is available the video frame is already
+         * old, so the fingertip is extrapolated along its filtered velocity.
+         * The distance is capped so sudden stops and turns do not overshoot.
+         */
+        this.predictionHorizon = 50;        // Milliseconds to predict ahead (0 disables prediction)
+        this.maxPredictionDistance = 0.5;   // Maximum extrapolation in world units
     }
     
     /**
      * Initialize MediaPipe hand detection system
      * 
-     * Sets up the MediaPipe HandLandmarker with optimal configuration for
-     * real-time hand tracking in a gaming environment. Configuration prioritizes
-     * accuracy and responsiveness over detection of subtle gestures.
+     * Sets up the MediaPipe HandLandmarker from the tracking configuration.
+     * Detection runs in a worker when possible and on the main thread otherwise;
+     * in both cases the GPU delegate falls back to the CPU if it fails.
      */
     async initialize() {
+        if (this.useWorker && typeof Worker !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+            try {
+                await this.initializeWorker();
+                this.detectionMode = 'worker';
+                this.scheduler.offThread = true;
+                this.isReady = true;
+                return;
+            } catch (error) {
+                console.warn('Detection worker unavailable, detecting on the main thread:', error);
+                this.terminateWorker();
+            }
+        }
+        
         try {
-            /**
-             * Setup MediaPipe FilesetResolver
-             * 
-             * FilesetResolver provides access to MediaPipe WASM files hosted on CDN.
-             * This enables client-side hand detection without requiring a server.
-             */
-            const filesetResolver = await vision.FilesetResolver.forVisionTasks(
-                "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm"
-            );
-            
-            /**
-             * Create HandLandmarker with game-optimized settings
-             * 
-             * Configuration balances accuracy with performance:
-             * - GPU acceleration for real-time processing
-             * - Video mode for continuous frame processing
-             * - Moderate confidence thresholds for reliable detection
-             * - Up to 2 hands supported for flexible interaction
-             */
-            this.handLandmarker = await vision.HandLandmarker.createFromOptions(
-                filesetResolver,
-                {
-                    baseOptions: {
-                        modelAssetPath: "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-                        delegate: "GPU"         // Use GPU acceleration for performance
-                    },
-                    runningMode: "VIDEO",       // Optimized for video streams vs single images
-                    numHands: 2,                // Track up to 2 hands simultaneously
-                    minHandDetectionConfidence: 0.5,    // Moderate threshold for initial detection
-                    minHandPresenceConfidence: 0.5,     // Moderate threshold for tracking continuation
-                    minTrackingConfidence: 0.5          // Moderate threshold for landmark accuracy
-                }
-            );
-            
-            this.isReady = true;
+            await this.initializeMainThread();
             
         } catch (error) {
             console.error('HandDetector initialization failed:', error);
@@ -117,16 +176,161 @@ export class HandDetector {
         }
     }
     
+    /**
+     * Load MediaPipe and create the HandLandmarker on the main thread
+     * 
+     * The tasks-vision module, its WASM files and the model all come
+     * from the configured asset source, so detection also works from
+     * local files without an internet connection.
+     */
+    async initializeMainThread() {
+        const vision = await import(this.config.visionPath);
+        const { handLandmarker, delegate } = await createHandLandmarker(vision, this.config);
+        
+        this.handLandmarker = handLandmarker;
+        this.delegate = delegate;
+        this.detectionMode = 'main';
+        this.isReady = true;
+    }
+    
+    /**
+     * Start the detection worker and wait until its landmarker is ready
+     * 
+     * @returns {Promise} Resolves when the worker is ready, rejects if it fails to start
+     */
+    initializeWorker() {
+        return new Promise((resolve, reject) => {
+            let ready = false;
+            this.worker = new Worker(
+                new URL('../workers/hand-detection-worker.js', import.meta.url),
+                { type: 'module' }
+            );
+            
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                
+                switch (message.type) {
+                    case 'ready':
+                        this.delegate = message.delegate;
+                        ready = true;
+                        resolve();
+                        break;
+                    case 'result':
+                        this.workerBusy = false;
+                        this.inferenceTime = message.inferenceTime;
+                        this.scheduler.recordInference(message.inferenceTime);
+                        this.processHandResults(message, message.timestamp);
+                        break;
+                    case 'error':
+                        this.workerBusy = false;
+                        if (message.fatal) {
+                            reject(new Error(message.message));
+                        } else {
+                            console.error('Hand detection error:', message.message);
+                        }
+                        break;
+                }
+            };
+            this.worker.onerror = (event) => {
+                event.preventDefault();
+                if (ready) {
+                    this.handleWorkerFailure(new Error(event.message || 'Worker failed'));
+                } else {
+                    reject(new Error(event.message || 'Worker failed to load'));
+                }
+            };
+            
+            this.worker.postMessage({ type: 'init', config: this.config });
+        });
+    }
+    
+    /**
+     * Recover from a worker that failed after initialization
+     * 
+     * The worker and any frame it was processing are gone, so the hands are
+     * dropped and detection continues on the main thread once MediaPipe has
+     * been loaded there.
+     * 
+     * @param {Error} error - Worker error
+     */
+    handleWorkerFailure(error) {
+        console.warn('Detection worker failed, detecting on the main thread:', error);
+        this.terminateWorker();
+        this.isReady = false;
+        this.detectionMode = null;
+        this.scheduler.offThread = false;
+        this.reset();
+        
+        this.initializeMainThread().catch((fallbackError) => {
+            console.error('Hand detection unavailable:', fallbackError);
+        });
+    }
+    
+    /**
+     * Stop the detection worker
+     */
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.workerBusy = false;
+    }
+    
     /**
      * Update hand detection for current video frame
      * 
-     * Processes the current video frame through MediaPipe to detect hand landmarks.
-     * This method should be called every frame to maintain real-time tracking.
+     * Called every rendered frame. The scheduler decides whether detection
+     * runs on this frame. In worker mode the current video frame is handed
+     * to the worker (if it is idle) and results are processed as they
+     * arrive; on the main thread the frame is detected synchronously.
+     * Either way the hands are then interpolated to the current render time.
      * Handles detection errors gracefully to prevent system crashes.
      */
     update() {
-        if (!this.isReady || !this.handLandmarker) return;
+        if (!this.isReady) return;
+        
+        const currentTime = performance.now();
+        this.scheduler.recordFrame(currentTime);
+        
+        if (this.detectionMode === 'worker') {
+            if (!this.workerBusy && this.scheduler.shouldDetect(currentTime)) {
+                this.requestWorkerDetection(currentTime);
+            }
+        } else if (this.scheduler.shouldDetect(currentTime)) {
+            this.detectOnMainThread(currentTime);
+        }
         
+        this.updateHands(currentTime);
+    }
+    
+    /**
+     * Send the current video frame to the worker if it is idle
+     * 
+     * The frame is captured as an ImageBitmap and transferred, not copied.
+     * 
+     * @param {number} timestamp - Capture time of the frame in milliseconds
+     */
+    requestWorkerDetection(timestamp) {
+        if (this.workerBusy || this.videoElement.readyState < 2) return;
+        
+        this.workerBusy = true;
+        createImageBitmap(this.videoElement)
+            .then((frame) => {
+                this.worker.postMessage({ type: 'detect', frame, timestamp }, [frame]);
+            })
+            .catch((error) => {
+                this.workerBusy = false;
+                console.error('Frame capture error:', error);
+            });
+    }
+    
+    /**
+     * Detect the current video frame synchronously (fallback mode)
+     * 
+     * @param {number} timestamp - Capture time of the frame in milliseconds
+     */
+    detectOnMainThread(timestamp) {
         try {
             /**
              * Process current video frame for hand detection
@@ -134,14 +338,12 @@ export class HandDetector {
              * MediaPipe processes the video frame and returns hand landmarks
              * if hands are detected. Uses current timestamp for tracking continuity.
              */
-            const results = this.handLandmarker.detectForVideo(
-                this.videoElement, 
-                performance.now()
-            );
+            const results = this.handLandmarker.detectForVideo(this.videoElement, timestamp);
+            this.inferenceTime = performance.now() - timestamp;
+            this.scheduler.recordInference(this.inferenceTime);
             
             // Process and store detection results
-            this.processHandResults(results);
-            this.lastDetectionTime = performance.now();
+            this.processHandResults(results, timestamp);
             
         } catch (error) {
             console.error('Hand detection error:', error);
@@ -151,128 +353,237 @@ export class HandDetector {
     /**
      * Process MediaPipe detection results into game-usable format
      * 
-     * Converts raw MediaPipe landmark data into structured hand information
-     * with world coordinates and fingertip tracking. Handles multiple hands
-     * and maintains hand identification across frames.
+     * Converts raw MediaPipe landmark data into a snapshot of structured hand
+     * information with filtered world coordinates, velocities and accelerations.
+     * Handles multiple hands and maintains hand identification across frames
+     * through the HandTracker, since MediaPipe does not keep hands in a stable order.
      * 
      * @param {Object} results - MediaPipe detection results containing landmarks and handedness
+     * @param {number} timestamp - Capture time of the detected frame in milliseconds
+     * @param {number} arrivalTime - Time the result became available (defaults to now; set by replays)
+     */
+    processHandResults(results, timestamp = performance.now(), arrivalTime = performance.now()) {
+        if (this.onDetection) {
+            this.onDetection(results, timestamp);
+        }
+        
+        /**
+         * Convert each detected hand to world coordinates
+         * 
+         * MediaPipe can detect multiple hands simultaneously. Each hand
+         * has landmarks (joint positions) and handedness (left/right classification).
+         * Its depth comes from the palm size before conversion.
+         */
+        const detections = (results.landmarks || []).map((landmarks, i) => {
+            const palmSize = this.depthEstimator.measurePalmSize(landmarks, this.playPlane.getAspect());
+            const depth = this.depthEstimator.estimateDepth(palmSize, this.playPlane.getDistance());
+            
+            return {
+                landmarks: this.convertLandmarksToWorld(landmarks, depth),
+                handedness: results.handednesses[i][0].categoryName,   // "Left" or "Right"
+                confidence: results.handednesses[i][0].score,           // Detection confidence [0,1]
+                palmSize: palmSize                                      // Apparent palm size for calibration
+            };
+        });
+        
+        // Match detections to known hands for persistent IDs and stable handedness
+        const trackedHands = this.handTracker.update(detections, timestamp);
+        
+        /**
+         * Store the snapshot
+         * 
+         * Includes all information needed for game interaction:
+         * - Persistent hand identification and smoothed classification
+         * - Confidence scores for filtering unreliable detections
+         * - Filtered world coordinate landmarks with velocity and acceleration
+         */
+        const snapshot = {
+            time: timestamp,
+            hands: trackedHands.map(hand => ({
+                id: hand.id,                    // Persistent ID (e.g., "hand1")
+                handedness: hand.handedness,    // Smoothed "Left" or "Right"
+                confidence: hand.confidence,    // Detection confidence [0,1]
+                palmSize: hand.palmSize,        // Apparent palm size (video heights)
+                ...this.landmarkFilter.filterHand(hand.id, hand.landmarks, timestamp)
+            }))
+        };
+        
+        // Drop filter state of hands the tracker gave up on (brief dropouts keep theirs)
+        this.landmarkFilter.prune(this.handTracker.getTrackIds());
+        
+        // Measure how far behind the newest result the display has to run
+        if (this.latestSnapshot) {
+            const delay = arrivalTime - this.latestSnapshot.time;
+            this.interpolationDelay = this.interpolationDelay
+                ? this.interpolationDelay * this.delaySmoothing + delay * (1 - this.delaySmoothing)
+                : delay;
+        }
+        
+        this.previousSnapshot = this.latestSnapshot;
+        this.latestSnapshot = snapshot;
+        this.lastDetectionTime = arrivalTime;
+    }
+    
+    /**
+     * Build the hands for the current render frame
+     * 
+     * Interpolates landmarks, velocities and accelerations between the last
+     * two snapshots, then extracts fingertips with their per-frame motion
+     * (previous position, path and prediction). When the render time has
+     * passed the newest snapshot (a result is late), landmarks are
+     * extrapolated along their velocity, up to maxExtrapolationTime.
+     * If no result arrives for resultTimeout, the hands are dropped instead
+     * of staying frozen in place (and slicing whatever passes through them).
+     * 
+     * @param {number} currentTime - Current time in milliseconds
      */
-    processHandResults(results) {
+    updateHands(currentTime) {
+        if (this.latestSnapshot && currentTime - this.lastDetectionTime > this.resultTimeout) {
+            this.reset();
+        }
+        
         this.hands = [];    // Clear previous frame's hand data
+        if (!this.latestSnapshot) return;
         
-        if (results.landmarks && results.landmarks.length > 0) {
-            /**
-             * Process each detected hand
-             * 
-             * MediaPipe can detect multiple hands simultaneously. Each hand
-             * has landmarks (joint positions) and handedness (left/right classification).
-             */
-            for (let i = 0; i < results.landmarks.length; i++) {
-                const landmarks = results.landmarks[i];
-                const handedness = results.handednesses[i];
-                
-                // Convert landmarks to world coordinates
-                const worldLandmarks = this.convertLandmarksToWorld(landmarks);
-                
-                // Extract and process fingertip positions
-                const fingertips = this.extractFingertips(worldLandmarks, i);
-                
-                /**
-                 * Store comprehensive hand data
-                 * 
-                 * Includes all information needed for game interaction:
-                 * - Hand identification and classification
-                 * - Confidence scores for filtering unreliable detections
-                 * - World coordinate landmarks for 3D interaction
-                 * - Processed fingertip data with velocity tracking
-                 */
-                this.hands.push({
-                    id: i,
-                    handedness: handedness[0].categoryName,     // "Left" or "Right"
-                    confidence: handedness[0].score,            // Detection confidence [0,1]
-                    landmarks: worldLandmarks,                  // All hand joint positions
-                    fingertips: fingertips                      // Processed fingertip data
-                });
+        const latest = this.latestSnapshot;
+        const previous = this.previousSnapshot;
+        
+        // Time the hands are shown at: the delayed render time, within the snapshots plus extrapolation
+        const displayTime = THREE.MathUtils.clamp(
+            currentTime - this.interpolationDelay,
+            previous ? previous.time : latest.time,
+            latest.time + this.maxExtrapolationTime
+        );
+        const alpha = previous && latest.time > previous.time
+            ? Math.min(1, (displayTime - previous.time) / (latest.time - previous.time))
+            : 1;
+        const extrapolationTime = Math.max(0, displayTime - latest.time) / 1000;
+        const displayDelay = currentTime - displayTime;
+        
+        for (const hand of latest.hands) {
+            const previousHand = previous && previous.hands.find(candidate => candidate.id === hand.id);
+            const lerpAll = (name) => hand[name].map((value, i) =>
+                previousHand ? previousHand[name][i].clone().lerp(value, alpha) : value.clone()
+            );
+            
+            const motion = {
+                landmarks: lerpAll('landmarks'),
+                velocities: lerpAll('velocities'),
+                accelerations: lerpAll('accelerations')
+            };
+            
+            if (extrapolationTime > 0) {
+                motion.landmarks.forEach((landmark, i) =>
+                    landmark.addScaledVector(motion.velocities[i], extrapolationTime)
+                );
             }
+            
+            this.hands.push({
+                id: hand.id,
+                handedness: hand.handedness,
+                confidence: hand.confidence,
+                palmSize: hand.palmSize,
+                depth: motion.landmarks[0].z - this.playPlane.z,    // Filtered wrist offset from the play plane
+                landmarks: motion.landmarks,
+                fingertips: this.extractFingertips(motion, hand, currentTime, displayDelay)
+            });
         }
         
         // Clean up tracking data for hands no longer detected
-        this.cleanupVelocityHistory();
+        this.cleanupFingertipTracking();
     }
     
     /**
      * Convert MediaPipe normalized coordinates to Three.js world coordinates
      * 
-     * MediaPipe returns landmarks in normalized screen space [0,1]. This method
-     * converts them to Three.js world coordinates that match the 3D scene scale.
-     * Includes horizontal mirroring for natural interaction.
+     * MediaPipe returns landmarks in normalized video space [0,1]. Each one is
+     * unprojected through the scene camera onto the play plane, so it lands
+     * exactly over the same point of the (mirrored) video background for any
+     * resolution or aspect ratio.
      * 
      * @param {Array} landmarks - Array of MediaPipe landmark objects with x,y,z coordinates
+     * @param {number} handDepth - Estimated hand offset towards the camera from the play plane
      * @returns {Array} Array of THREE.Vector3 objects in world coordinates
      */
-    convertLandmarksToWorld(landmarks) {
-        const worldLandmarks = [];
-        
-        for (const landmark of landmarks) {
-            // Convert normalized coordinates [0,1] to screen coordinates
-            const screenX = landmark.x * this.videoWidth;
-            const screenY = landmark.y * this.videoHeight;
-            
-            /**
-             * Convert screen coordinates to Three.js world coordinates
-             * 
-             * Coordinate transformations:
-             * - X: Flipped horizontally for mirror effect, scaled to [-4,+4] range
-             * - Y: Flipped vertically to match Three.js coordinate system, scaled to [-3,+3]
-             * - Z: MediaPipe relative depth scaled for scene depth
-             */
-            const worldX = -((screenX / this.videoWidth) * 2 - 1) * 4;      // Mirrored X: -4 to +4
-            const worldY = -((screenY / this.videoHeight) * 2 - 1) * 3;     // Flipped Y: -3 to +3
-            const worldZ = -landmark.z * 2;                                 // Scaled depth
-            
-            worldLandmarks.push(new THREE.Vector3(worldX, worldY, worldZ));
-        }
-        
-        return worldLandmarks;
+    convertLandmarksToWorld(landmarks, handDepth = 0) {
+        return landmarks.map(landmark =>
+            this.playPlane.unproject(landmark.x, landmark.y, handDepth - landmark.z * this.depthScale)
+        );
+    }
+    
+    /**
+     * Calibrate depth with the current hand position
+     * 
+     * The first visible hand's current distance becomes the play plane.
+     * 
+     * @returns {boolean} True if a hand was visible and the calibration was stored
+     */
+    calibrateDepth() {
+        if (this.hands.length === 0) return false;
+        return this.depthEstimator.calibrate(this.hands[0].palmSize);
+    }
+    
+    /**
+     * Get the estimated depth of the first visible hand
+     * 
+     * @returns {number|null} Offset towards the camera from the play plane, or null without hands
+     */
+    getHandDepth() {
+        return this.hands.length > 0 ? this.hands[0].depth : null;
     }
     
     /**
-     * Extract fingertip positions and calculate velocities
+     * Extract fingertip positions and motion
      * 
-     * Processes specific landmark indices to extract fingertip positions,
-     * calculates movement velocities, and applies smoothing for stable interaction.
-     * Currently focused on index finger for precision slicing.
+     * Picks the tracked landmark indices from the filtered hand and attaches
+     * the filter's velocity and acceleration, the previous position for swept
+     * collision tests and the recent path for swipe analysis.
      * 
-     * @param {Array} landmarks - World coordinate landmarks for this hand
-     * @param {number} handId - Unique identifier for this hand instance
+     * @param {Object} motion - Filtered hand as { landmarks, velocities, accelerations }
+     * @param {Object} hand - Tracked hand with persistent id, handedness and confidence
+     * @param {number} currentTime - Frame timestamp in milliseconds
+     * @param {number} displayDelay - How far the positions lag behind real time (ms), added to the prediction
      * @returns {Array} Array of fingertip objects with position and velocity data
      */
-    extractFingertips(landmarks, handId) {
+    extractFingertips(motion, hand, currentTime, displayDelay = 0) {
         const fingertips = [];
-        const currentTime = performance.now();
         
         for (const index of this.fingertipIndices) {
-            if (landmarks[index]) {
-                const fingertipId = `${handId}_${index}`;
-                const currentPosition = landmarks[index].clone();
+            if (motion.landmarks[index]) {
+                const fingertipId = `${hand.id}_${index}`;
+                const currentPosition = motion.landmarks[index].clone();
+                
+                // Position from the previous frame, used for the motion direction (slice plane)
+                const previousData = this.previousFingertips.get(fingertipId);
+                const previousPosition = previousData ? previousData.position.clone() : null;
+                this.previousFingertips.set(fingertipId, {
+                    position: currentPosition.clone(),
+                    time: currentTime,
+                    handId: hand.id
+                });
                 
                 /**
-                 * Calculate fingertip velocity for gesture recognition
+                 * Fingertip velocity for gesture recognition
                  * 
                  * Velocity is crucial for distinguishing between:
                  * - Hovering/positioning (low velocity)
                  * - Slicing gestures (high velocity)
+                 * The first frame of a fingertip reports no motion.
                  */
-                const velocity = this.calculateFingertipVelocity(
-                    fingertipId, 
-                    currentPosition, 
-                    currentTime
-                );
+                const velocityVector = previousData ? motion.velocities[index] : new THREE.Vector3();
+                const acceleration = previousData ? motion.accelerations[index] : new THREE.Vector3();
                 
                 fingertips.push({
                     position: currentPosition,
+                    predictedPosition: this.predictPosition(currentPosition, velocityVector, displayDelay),
                     type: this.getFingertipType(index),
-                    velocity: velocity,
+                    handedness: hand.handedness,
+                    confidence: hand.confidence,
+                    velocity: velocityVector.length(),
+                    velocityVector: velocityVector,
+                    acceleration: acceleration,
+                    previousPosition: previousPosition,
+                    path: this.updateFingertipPath(fingertipId, currentPosition, currentTime),
                     id: fingertipId
                 });
             }
@@ -282,94 +593,58 @@ export class HandDetector {
     }
     
     /**
-     * Calculate fingertip velocity with smoothing
+     * Extrapolate a position along its velocity by the prediction horizon
      * 
-     * Computes velocity based on position change over time, applies smoothing
-     * to reduce jitter, and maintains history for consistent measurements.
+     * Interpolated positions additionally lag by the display delay, which is
+     * compensated as well (within the same distance cap).
      * 
-     * @param {string} fingertipId - Unique identifier for fingertip tracking
-     * @param {THREE.Vector3} currentPosition - Current fingertip position
-     * @param {number} currentTime - Current timestamp in milliseconds
-     * @returns {number} Smoothed velocity magnitude
+     * @param {THREE.Vector3} position - Current filtered position
+     * @param {THREE.Vector3} velocity - Filtered velocity in units per second
+     * @param {number} displayDelay - Extra lag of the position in milliseconds
+     * @returns {THREE.Vector3} Predicted position (a copy of the position if prediction is off)
      */
-    calculateFingertipVelocity(fingertipId, currentPosition, currentTime) {
-        // Get previous position and time for this fingertip
-        const previousData = this.previousFingertips.get(fingertipId);
-        
-        if (!previousData) {
-            /**
-             * First frame for this fingertip
-             * 
-             * Initialize tracking data and return zero velocity since
-             * we need at least two points to calculate velocity.
-             */
-            this.previousFingertips.set(fingertipId, {
-                position: currentPosition.clone(),
-                time: currentTime
-            });
-            return 0;
-        }
-        
-        /**
-         * Calculate velocity from position change
-         * 
-         * Velocity = distance / time
-         * Uses 3D distance for accurate movement measurement in world space.
-         */
-        const deltaTime = (currentTime - previousData.time) / 1000;    // Convert to seconds
-        const deltaPosition = currentPosition.distanceTo(previousData.position);
-        const velocity = deltaTime > 0 ? deltaPosition / deltaTime : 0;
-        
-        // Update previous position for next frame
-        this.previousFingertips.set(fingertipId, {
-            position: currentPosition.clone(),
-            time: currentTime
-        });
+    predictPosition(position, velocity, displayDelay = 0) {
+        if (this.predictionHorizon === 0) return position.clone();
         
-        // Apply velocity smoothing and return result
-        this.updateVelocityHistory(fingertipId, velocity);
-        return this.getSmoothedVelocity(fingertipId);
+        const offset = velocity.clone().multiplyScalar((this.predictionHorizon + displayDelay) / 1000);
+        offset.clampLength(0, this.maxPredictionDistance);
+        return position.clone().add(offset);
     }
     
     /**
-     * Update velocity history for smoothing
+     * Set how far ahead fingertip positions are predicted
      * 
-     * Maintains a rolling history of velocity measurements to enable
-     * smoothing that reduces noise and jitter in gesture recognition.
-     * 
-     * @param {string} fingertipId - Unique fingertip identifier
-     * @param {number} velocity - New velocity measurement to add
+     * @param {number} horizon - Prediction horizon in milliseconds (0 disables prediction)
      */
-    updateVelocityHistory(fingertipId, velocity) {
-        if (!this.velocityHistory.has(fingertipId)) {
-            this.velocityHistory.set(fingertipId, []);
-        }
-        
-        const history = this.velocityHistory.get(fingertipId);
-        history.push(velocity);
-        
-        // Maintain fixed history size for consistent smoothing
-        if (history.length > this.maxVelocityHistory) {
-            history.shift();    // Remove oldest measurement
-        }
+    setPredictionHorizon(horizon) {
+        this.predictionHorizon = Math.max(0, horizon);
+        console.log(`Prediction horizon set to: ${this.predictionHorizon} ms`);
     }
     
     /**
-     * Calculate smoothed velocity from history
+     * Add a sample to a fingertip's recent path
      * 
-     * Applies simple moving average to reduce noise and provide
-     * stable velocity measurements for reliable gesture recognition.
+     * Samples older than the path duration are dropped, as are samples
+     * beyond the maximum path length.
      * 
      * @param {string} fingertipId - Unique fingertip identifier
-     * @returns {number} Smoothed velocity value
+     * @param {THREE.Vector3} position - Current fingertip position
+     * @param {number} time - Current timestamp in milliseconds
+     * @returns {Array} Copy of the path, oldest sample first
      */
-    getSmoothedVelocity(fingertipId) {
-        const history = this.velocityHistory.get(fingertipId);
-        if (!history || history.length === 0) return 0;
+    updateFingertipPath(fingertipId, position, time) {
+        if (!this.fingertipPaths.has(fingertipId)) {
+            this.fingertipPaths.set(fingertipId, []);
+        }
+        
+        const path = this.fingertipPaths.get(fingertipId);
+        path.push({ position: position.clone(), time: time });
         
-        // Calculate simple moving average
-        const sum = history.reduce((a, b) => a + b, 0);
-        return sum / history.length;
+        while (path.length > this.maxPathLength || (path.length > 1 && time - path[0].time > this.pathDuration)) {
+            path.shift();
+        }
+        
+        return [...path];
     }
     
     /**
@@ -378,7 +653,7 @@ export class HandDetector {
      * Prevents memory leaks by removing tracking data for fingertips
      * that are no longer detected in the current frame.
      */
-    cleanupVelocityHistory() {
+    cleanupFingertipTracking() {
         // Collect all currently detected fingertip IDs
         const currentFingertipIds = new Set();
         
@@ -392,29 +667,46 @@ export class HandDetector {
          * Remove tracking data for fingertips no longer detected
          * 
          * Iterates through stored tracking data and removes entries
-         * for fingertips not present in the current frame.
+         * for fingertips not present in the current frame, unless their
+         * hand is only briefly missing: the HandTracker keeps its ID, and
+         * the swipe continues from its last position when it comes back.
          */
-        for (const [fingertipId] of this.previousFingertips) {
-            if (!currentFingertipIds.has(fingertipId)) {
+        const liveHandIds = this.handTracker.getTrackIds();
+        for (const [fingertipId, data] of this.previousFingertips) {
+            if (!currentFingertipIds.has(fingertipId) && !liveHandIds.has(data.handId)) {
                 this.previousFingertips.delete(fingertipId);
-                this.velocityHistory.delete(fingertipId);
+                this.fingertipPaths.delete(fingertipId);
             }
         }
     }
     
+    /**
+     * Forget all tracked hands and detection results
+     * 
+     * Used when the input jumps, e.g., when a replayed recording restarts.
+     * Calibration and configuration are kept.
+     */
+    reset() {
+        this.hands = [];
+        this.previousSnapshot = null;
+        this.latestSnapshot = null;
+        this.interpolationDelay = 0;
+        this.handTracker.reset();
+        this.landmarkFilter.reset();
+        this.previousFingertips.clear();
+        this.fingertipPaths.clear();
+    }
+    
     /**
      * Get fingertip type from MediaPipe landmark index
      * 
      * Converts MediaPipe landmark indices to semantic fingertip names.
-     * Currently only tracks index finger for precision slicing.
      * 
      * @param {number} index - MediaPipe landmark index
      * @returns {string} Semantic fingertip name
      */
     getFingertipType(index) {
-        // Only index finger is tracked for precision slicing
-        if (index === 8) return 'index';
-        return 'unknown';
+        return this.fingertipTypes[index] || 'unknown';
     }
     
     /**
@@ -432,9 +724,16 @@ export class HandDetector {
             for (const fingertip of hand.fingertips) {
                 allFingertips.push({
                     position: fingertip.position,
+                    predictedPosition: fingertip.predictedPosition,
                     type: fingertip.type,
-                    handedness: hand.handedness,
+                    handedness: fingertip.handedness,
+                    confidence: fingertip.confidence,
+                    handId: hand.id,
                     velocity: fingertip.velocity,
+                    velocityVector: fingertip.velocityVector,
+                    acceleration: fingertip.acceleration,
+                    previousPosition: fingertip.previousPosition,
+                    path: fingertip.path,
                     id: fingertip.id
                 });
             }
@@ -449,7 +748,7 @@ export class HandDetector {
      * Useful for implementing different gestures or interaction modes
      * based on specific finger types.
      * 
-     * @param {string} type - Fingertip type to filter ('index', 'thumb', etc.)
+     * @param {string} type - Fingertip type to filter ('index', 'thumb', 'palmEdge', etc.)
      * @returns {Array} Array of fingertips matching the specified type
      */
     getFingertipsByType(type) {
@@ -518,6 +817,11 @@ export class HandDetector {
             totalFingertips: this.getAllFingertips().length,
             maxVelocity: this.getMaxVelocity().toFixed(2),
             lastDetection: performance.now() - this.lastDetectionTime,
+            detectionMode: this.detectionMode,
+            delegate: this.delegate,
+            inferenceTime: this.inferenceTime.toFixed(1),
+            detectionRate: this.scheduler.getDetectionRate().toFixed(0),
+            interpolationDelay: this.interpolationDelay.toFixed(1),
             trackingDataSize: this.previousFingertips.size
         };
     }
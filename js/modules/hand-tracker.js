@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+
+/**
+ * Hand Tracker Class
+ * 
+ * Keeps a persistent identity for every hand across frames. MediaPipe reports
+ * hands in no particular order, so the array index of a detection cannot be
+ * used as an ID: when two hands swap places in the result list, velocity
+ * history, fingertip paths and finger spheres would jump between hands.
+ * 
+ * Each frame the tracker matches new detections to known tracks by palm
+ * position, with a penalty for a handedness mismatch. Unmatched detections
+ * start new tracks; tracks that stay unmatched for longer than a short grace
+ * period are dropped, so brief detection dropouts keep their ID.
+ * 
+ * Handedness is smoothed per track as well, since MediaPipe's classification
+ * can flicker for a frame or two (especially for hands seen edge-on).
+ */
+export class HandTracker {
+    /**
+     * Constructor for HandTracker
+     */
+    constructor() {
+        this.tracks = new Map();            // Track ID -> { id, center, handedness, handednessScores, lastSeen }
+        this.nextTrackId = 1;               // Counter for new track IDs
+        
+        /**
+         * Matching parameters
+         * 
+         * Distances are in world units (the scene spans about 8 x 6 units).
+         * The handedness penalty is added to the distance, so a hand with the
+         * other handedness is only matched when no better candidate exists.
+         */
+        this.maxMatchDistance = 1.5;        // Farthest a palm may move between matched frames
+        this.handednessPenalty = 0.75;      // Extra matching cost for a handedness mismatch
+        this.maxMissedTime = 300;           // Milliseconds a track survives without a detection
+        this.handednessSmoothing = 0.7;     // Weight of the previous handedness scores (0 = no smoothing)
+        
+        // Landmarks averaged for the palm center: wrist and finger bases
+        this.palmLandmarks = [0, 5, 9, 13, 17];
+    }
+    
+    /**
+     * Assign persistent IDs to the detections of one frame
+     * 
+     * @param {Array} detections - Detected hands as { landmarks, handedness, confidence },
+     *   with landmarks in world coordinates
+     * @param {number} time - Frame timestamp in milliseconds
+     * @returns {Array} The detections in the same order, each extended with a
+     *   persistent id and the smoothed handedness
+     */
+    update(detections, time = performance.now()) {
+        const centers = detections.map(detection => this.getPalmCenter(detection.landmarks));
+        
+        /**
+         * Greedy matching on the cheapest pairs first
+         * 
+         * With at most two hands an optimal assignment gains nothing over
+         * taking the cheapest remaining detection/track pair each time.
+         */
+        const pairs = [];
+        detections.forEach((detection, index) => {
+            for (const track of this.tracks.values()) {
+                const distance = centers[index].distanceTo(track.center);
+                if (distance > this.maxMatchDistance) continue;
+                
+                const penalty = detection.handedness === track.handedness ? 0 : this.handednessPenalty;
+                pairs.push({ index, track, cost: distance + penalty });
+            }
+        });
+        pairs.sort((a, b) => a.cost - b.cost);
+        
+        const assigned = new Array(detections.length).fill(null);
+        const usedTracks = new Set();
+        for (const pair of pairs) {
+            if (assigned[pair.index] || usedTracks.has(pair.track.id)) continue;
+            assigned[pair.index] = pair.track;
+            usedTracks.add(pair.track.id);
+        }
+        
+        // Update matched tracks and start new ones for the rest
+        const results = detections.map((detection, index) => {
+            const track = assigned[index] || this.createTrack(detection.handedness);
+            track.center.copy(centers[index]);
+            track.lastSeen = time;
+            this.updateHandedness(track, detection.handedness, detection.confidence);
+            
+            return {
+                ...detection,
+                id: track.id,
+                handedness: track.handedness
+            };
+        });
+        
+        // Drop tracks that have not been seen for too long
+        for (const [id, track] of this.tracks) {
+            if (time - track.lastSeen > this.maxMissedTime) {
+                this.tracks.delete(id);
+            }
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Start a new track
+     * 
+     * @param {string} handedness - Initial handedness ("Left" or "Right")
+     * @returns {Object} The new track
+     */
+    createTrack(handedness) {
+        const track = {
+            id: `hand${this.nextTrackId++}`,
+            center: new THREE.Vector3(),
+            handedness: handedness,
+            handednessScores: { Left: 0, Right: 0 },
+            lastSeen: 0
+        };
+        
+        this.tracks.set(track.id, track);
+        return track;
+    }
+    
+    /**
+     * Blend a new handedness classification into a track
+     * 
+     * Keeps an exponentially decaying confidence score per side and reports
+     * the side with the higher score, so single-frame flips are ignored.
+     * 
+     * @param {Object} track - Track to update
+     * @param {string} handedness - Classified handedness for this frame
+     * @param {number} confidence - Classification confidence [0,1]
+     */
+    updateHandedness(track, handedness, confidence) {
+        const scores = track.handednessScores;
+        for (const side of Object.keys(scores)) {
+            scores[side] *= this.handednessSmoothing;
+        }
+        scores[handedness] = (scores[handedness] || 0) + confidence * (1 - this.handednessSmoothing);
+        
+        track.handedness = scores.Left > scores.Right ? 'Left' : 'Right';
+    }
+    
+    /**
+     * Average position of the palm landmarks
+     * 
+     * The palm moves much less erratically than the fingertips, which makes
+     * it a better anchor for matching.
+     * 
+     * @param {Array} landmarks - Hand landmarks in world coordinates
+     * @returns {THREE.Vector3} Palm center
+     */
+    getPalmCenter(landmarks) {
+        const center = new THREE.Vector3();
+        for (const index of this.palmLandmarks) {
+            center.add(landmarks[index]);
+        }
+        return center.divideScalar(this.palmLandmarks.length);
+    }
+    
+    /**
+     * Get the IDs of all live tracks, including hands briefly missing from detection
+     * 
+     * @returns {Set} Track IDs
+     */
+    getTrackIds() {
+        return new Set(this.tracks.keys());
+    }
+    
+    /**
+     * Forget all tracks (e.g., after the camera restarts)
+     */
+    reset() {
+        this.tracks.clear();
+    }
+}
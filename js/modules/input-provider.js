@@ -0,0 +1,128 @@
+/**
+ * Input Provider Base Class
+ * 
+ * Defines the interface between input devices and the game. An input
+ * provider produces "pointers": fingertip-like objects that the collision
+ * detector slices with and the finger visualizer draws. The game does not
+ * care whether a pointer is a tracked fingertip or a mouse cursor.
+ * 
+ * Pointer properties:
+ * - id: Unique, stable identifier across frames (e.g., 'hand1_8', 'pointer_1')
+ * - type: Point type matched against the blade preset ('index', 'pointer', ...)
+ * - position: Current world position (THREE.Vector3)
+ * - predictedPosition: Latency-compensated position (may equal position)
+ * - previousPosition: Position in the previous frame, or null on the first frame
+ * - velocity: Speed in world units per second
+ * - velocityVector: Velocity (THREE.Vector3)
+ * - path: Recent samples as { position, time }, oldest first
+ * - handedness, confidence, handId: Optional hand information
+ * 
+ * Subclasses override the methods below; the defaults describe a provider
+ * without any pointers.
+ */
+export class InputProvider {
+    /**
+     * Constructor for InputProvider
+     * 
+     * @param {string} name - Provider name for debugging (e.g., 'mediapipe')
+     */
+    constructor(name) {
+        this.name = name;
+    }
+    
+    /**
+     * Prepare the input device
+     * 
+     * @returns {Promise} Resolves when the provider is ready, rejects if the device is unavailable
+     */
+    async initialize() {}
+    
+    /**
+     * Sample the input device for the current frame
+     * 
+     * Called once per frame before the pointers are read.
+     */
+    update() {}
+    
+    /**
+     * Get the pointers of the current frame
+     * 
+     * @returns {Array} Pointer objects (see class description)
+     */
+    getPointers() {
+        return [];
+    }
+    
+    /**
+     * Check whether any pointers are active
+     * 
+     * @returns {boolean} True if at least one pointer is active
+     */
+    hasPointers() {
+        return this.getPointers().length > 0;
+    }
+    
+    /**
+     * Release the input device (event listeners, workers, streams)
+     */
+    dispose() {}
+}
+
+/**
+ * Composite Input Provider Class
+ * 
+ * Combines several providers into one, so hand tracking and mouse/touch
+ * input can be used side by side. Pointer IDs of the providers never
+ * overlap, so their pointers are simply concatenated.
+ */
+export class CompositeInputProvider extends InputProvider {
+    /**
+     * Constructor for CompositeInputProvider
+     * 
+     * @param {Array} providers - Input providers to combine
+     */
+    constructor(providers = []) {
+        super('composite');
+        this.providers = providers;
+    }
+    
+    /**
+     * Initialize all providers
+     */
+    async initialize() {
+        await Promise.all(this.providers.map(provider => provider.initialize()));
+    }
+    
+    /**
+     * Update all providers
+     */
+    update() {
+        this.providers.forEach(provider => provider.update());
+    }
+    
+    /**
+     * Get the pointers of all providers
+     * 
+     * @returns {Array} Pointer objects of every provider
+     */
+    getPointers() {
+        return this.providers.flatMap(provider => provider.getPointers());
+    }
+    
+    /**
+     * Find a provider by name
+     * 
+     * @param {string} name - Provider name
+     * @returns {InputProvider|null} The provider, or null if not part of the composite
+     */
+    getProvider(name) {
+        return this.providers.find(provider => provider.name === name) || null;
+    }
+    
+    /**
+     * Release all providers
+     */
+    dispose() {
+        this.providers.forEach(provider => provider.dispose());
+    }
+}
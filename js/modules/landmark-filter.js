@@ -0,0 +1,202 @@
+import * as THREE from 'three';
+
+/**
+ * One Euro Filter Class
+ * 
+ * Adaptive low-pass filter for a noisy 3D position (Casiez et al., CHI 2012).
+ * The cutoff frequency rises with the speed of the signal: at rest a low
+ * cutoff removes jitter, during fast movements a high cutoff keeps latency low.
+ * 
+ * Besides the filtered position the filter keeps its velocity estimate
+ * (the low-passed derivative) and an acceleration estimate derived from it.
+ */
+export class OneEuroFilter {
+    /**
+     * Constructor for OneEuroFilter
+     * 
+     * @param {Object} options - Filter parameters
+     * @param {number} options.minCutoff - Cutoff frequency at rest in Hz (lower = smoother)
+     * @param {number} options.beta - Cutoff increase per unit of speed (higher = less lag)
+     * @param {number} options.derivativeCutoff - Cutoff frequency for velocity and acceleration in Hz
+     */
+    constructor({ minCutoff = 1.5, beta = 0.8, derivativeCutoff = 4.0 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.derivativeCutoff = derivativeCutoff;
+        
+        // Filter state (null until the first sample)
+        this.position = null;                       // Filtered position
+        this.lastValue = null;                      // Previous raw sample
+        this.velocity = new THREE.Vector3();        // Filtered velocity (units per second)
+        this.acceleration = new THREE.Vector3();    // Filtered acceleration (units per second squared)
+        this.lastTime = null;                       // Timestamp of the last sample in milliseconds
+    }
+    
+    /**
+     * Smoothing factor of a first-order low-pass filter
+     * 
+     * @param {number} cutoff - Cutoff frequency in Hz
+     * @param {number} deltaTime - Sample interval in seconds
+     * @returns {number} Blend factor for the new sample [0,1]
+     */
+    getAlpha(cutoff, deltaTime) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / deltaTime);
+    }
+    
+    /**
+     * Filter a new sample
+     * 
+     * @param {THREE.Vector3} value - Raw position
+     * @param {number} time - Sample timestamp in milliseconds
+     * @returns {THREE.Vector3} Filtered position (a new vector)
+     */
+    filter(value, time) {
+        if (this.position === null) {
+            this.position = value.clone();
+            this.lastValue = value.clone();
+            this.lastTime = time;
+            return this.position.clone();
+        }
+        
+        const deltaTime = (time - this.lastTime) / 1000;
+        if (deltaTime <= 0) return this.position.clone();
+        this.lastTime = time;
+        
+        /**
+         * Derivative first
+         * 
+         * The derivative of the raw samples is low-passed at a fixed cutoff;
+         * its magnitude then sets the position cutoff for this sample. Using
+         * the raw samples keeps the filter's lag out of the velocity estimate.
+         */
+        const derivativeAlpha = this.getAlpha(this.derivativeCutoff, deltaTime);
+        const rawVelocity = value.clone().sub(this.lastValue).divideScalar(deltaTime);
+        this.lastValue.copy(value);
+        const velocity = this.velocity.clone().lerp(rawVelocity, derivativeAlpha);
+        
+        const rawAcceleration = velocity.clone().sub(this.velocity).divideScalar(deltaTime);
+        this.acceleration.lerp(rawAcceleration, derivativeAlpha);
+        this.velocity.copy(velocity);
+        
+        // Speed-dependent cutoff: smooth at rest, responsive during swipes
+        const cutoff = this.minCutoff + this.beta * velocity.length();
+        this.position.lerp(value, this.getAlpha(cutoff, deltaTime));
+        
+        return this.position.clone();
+    }
+}
+
+/**
+ * Landmark Filter Class
+ * 
+ * Filtering stage between landmark conversion and fingertip extraction.
+ * Runs one OneEuroFilter per landmark of every tracked hand, keyed by the
+ * persistent hand ID from the HandTracker, so filter state never jumps
+ * between hands.
+ * 
+ * When disabled, landmarks pass through unchanged; the filters still run
+ * so velocity and acceleration remain available.
+ */
+export class LandmarkFilter {
+    /**
+     * Constructor for LandmarkFilter
+     * 
+     * @param {Object} options - Filter configuration
+     * @param {boolean} options.enabled - Whether landmark positions are smoothed
+     * @param {number} options.minCutoff - Cutoff frequency at rest in Hz
+     * @param {number} options.beta - Cutoff increase per unit of speed
+     * @param {number} options.derivativeCutoff - Cutoff frequency for velocity and acceleration in Hz
+     */
+    constructor(options = {}) {
+        this.enabled = true;                // Smooth positions (false = raw positions)
+        this.minCutoff = 1.5;               // Hz; lower removes more jitter at rest
+        this.beta = 0.8;                    // Higher reduces lag during fast swipes
+        this.derivativeCutoff = 4.0;        // Hz; smoothing of velocity and acceleration
+        
+        this.handFilters = new Map();       // Hand ID -> array of OneEuroFilter (one per landmark)
+        
+        this.configure(options);
+    }
+    
+    /**
+     * Change the filter configuration
+     * 
+     * Existing filter state is kept; new parameters apply from the next sample.
+     * 
+     * @param {Object} options - Any of enabled, minCutoff, beta, derivativeCutoff
+     */
+    configure(options = {}) {
+        for (const key of ['enabled', 'minCutoff', 'beta', 'derivativeCutoff']) {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        }
+        
+        for (const filters of this.handFilters.values()) {
+            filters.forEach(filter => this.applyParameters(filter));
+        }
+    }
+    
+    /**
+     * Copy the current parameters to a filter
+     * 
+     * @param {OneEuroFilter} filter - Filter to update
+     */
+    applyParameters(filter) {
+        filter.minCutoff = this.minCutoff;
+        filter.beta = this.beta;
+        filter.derivativeCutoff = this.derivativeCutoff;
+    }
+    
+    /**
+     * Filter all landmarks of one hand
+     * 
+     * @param {string} handId - Persistent hand ID
+     * @param {Array} landmarks - Raw landmarks in world coordinates
+     * @param {number} time - Frame timestamp in milliseconds
+     * @returns {Object} { landmarks, velocities, accelerations } with one entry per landmark
+     */
+    filterHand(handId, landmarks, time) {
+        if (!this.handFilters.has(handId)) {
+            this.handFilters.set(handId, []);
+        }
+        
+        const filters = this.handFilters.get(handId);
+        const result = { landmarks: [], velocities: [], accelerations: [] };
+        
+        landmarks.forEach((landmark, index) => {
+            if (!filters[index]) {
+                filters[index] = new OneEuroFilter();
+                this.applyParameters(filters[index]);
+            }
+            
+            const filtered = filters[index].filter(landmark, time);
+            result.landmarks.push(this.enabled ? filtered : landmark.clone());
+            result.velocities.push(filters[index].velocity.clone());
+            result.accelerations.push(filters[index].acceleration.clone());
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Drop filter state for hands that are no longer tracked
+     * 
+     * @param {Set} activeHandIds - IDs of the hands present in this frame
+     */
+    prune(activeHandIds) {
+        for (const handId of this.handFilters.keys()) {
+            if (!activeHandIds.has(handId)) {
+                this.handFilters.delete(handId);
+            }
+        }
+    }
+    
+    /**
+     * Forget all filter state
+     */
+    reset() {
+        this.handFilters.clear();
+    }
+}
@@ -0,0 +1,59 @@
+import { InputProvider } from './input-provider.js';
+
+/**
+ * MediaPipe Input Provider Class
+ * 
+ * Webcam hand tracking as an input provider. Wraps a HandDetector, whose
+ * fingertips already have the pointer shape, and exposes the detector for
+ * hand-specific features (depth calibration, debug information).
+ */
+export class MediaPipeInputProvider extends InputProvider {
+    /**
+     * Constructor for MediaPipeInputProvider
+     * 
+     * @param {HandDetector} handDetector - Hand detector to read fingertips from
+     */
+    constructor(handDetector) {
+        super('mediapipe');
+        this.handDetector = handDetector;
+    }
+    
+    /**
+     * Initialize MediaPipe hand detection
+     */
+    async initialize() {
+        await this.handDetector.initialize();
+    }
+    
+    /**
+     * Run hand detection for the current frame
+     */
+    update() {
+        this.handDetector.update();
+    }
+    
+    /**
+     * Get all tracked fingertips
+     * 
+     * @returns {Array} Fingertips of all detected hands
+     */
+    getPointers() {
+        return this.handDetector.getAllFingertips();
+    }
+    
+    /**
+     * Check whether any hands are detected
+     * 
+     * @returns {boolean} True if at least one hand is detected
+     */
+    hasPointers() {
+        return this.handDetector.hasHands();
+    }
+    
+    /**
+     * Stop the detection worker
+     */
+    dispose() {
+        this.handDetector.terminateWorker();
+    }
+}
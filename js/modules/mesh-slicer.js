@@ -0,0 +1,392 @@
+import * as THREE from 'three';
+
+/**
+ * Mesh Slicer Class
+ * 
+ * Cuts a food model into two pieces along an arbitrary plane in real time.
+ * Every visible mesh of the model is clipped triangle by triangle against the
+ * plane, and the open cross section on each side is closed with a cap that
+ * uses an interior material (the flesh of the fruit).
+ * 
+ * Key responsibilities:
+ * - Split mesh geometry along a plane, interpolating normals and UVs
+ * - Collect the cut outline and triangulate caps for both pieces
+ * - Build two self-contained groups positioned where the original model was
+ * 
+ * The cut edges are grouped into connected outlines (a donut cut in half has
+ * two, a burger one per layer) and each outline is capped with a fan from its
+ * centroid, which is exact for convex outlines and a good approximation for food.
+ */
+export class MeshSlicer {
+    /**
+     * Constructor for MeshSlicer
+     */
+    constructor() {
+        this.epsilon = 1e-5;            // Distance below which a vertex counts as on the plane
+        this.weldPrecision = 1e4;       // Cut points closer than 1 / weldPrecision are merged into outlines
+    }
+    
+    /**
+     * Slice an object into two pieces
+     * 
+     * @param {THREE.Object3D} object - Root of the model to cut (must be in world space)
+     * @param {THREE.Plane} plane - Cutting plane in world coordinates
+     * @param {THREE.Material} capMaterial - Material for the cut faces
+     * @returns {Object|null} { front, back } groups, or null if the plane misses the model
+     */
+    slice(object, plane, capMaterial) {
+        object.updateWorldMatrix(true, true);
+        
+        /**
+         * Work in the object's local space
+         * 
+         * Geometry of every mesh is brought into the root's local frame, so the
+         * resulting pieces can simply reuse the root's world transform.
+         */
+        const worldToLocal = object.matrixWorld.clone().invert();
+        const localPlane = plane.clone().applyMatrix4(worldToLocal);
+        
+        const frontParts = [];
+        const backParts = [];
+        const cutSegments = [];
+        
+        object.traverseVisible((child) => {
+            if (!child.isMesh || !child.geometry || !child.geometry.attributes.position) return;
+            
+            const meshToLocal = worldToLocal.clone().multiply(child.matrixWorld);
+            const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+            geometry.applyMatrix4(meshToLocal);
+            
+            const result = this.splitGeometry(geometry, localPlane, cutSegments);
+            geometry.dispose();
+            
+            if (result.front) frontParts.push({ geometry: result.front, material: child.material });
+            if (result.back) backParts.push({ geometry: result.back, material: child.material });
+        });
+        
+        // The plane has to cross the model for a real cut
+        const outlines = this.groupOutlines(cutSegments);
+        if (frontParts.length === 0 || backParts.length === 0 || outlines.length === 0) {
+            frontParts.concat(backParts).forEach(part => part.geometry.dispose());
+            return null;
+        }
+        
+        const front = this.buildPiece(frontParts, outlines, localPlane.normal.clone().negate(), capMaterial);
+        const back = this.buildPiece(backParts, outlines, localPlane.normal.clone(), capMaterial);
+        
+        // Pieces start exactly where the original model was
+        for (const piece of [front, back]) {
+            piece.position.setFromMatrixPosition(object.matrixWorld);
+            piece.quaternion.setFromRotationMatrix(object.matrixWorld);
+        }
+        
+        return { front, back };
+    }
+    
+    /**
+     * Split a non-indexed geometry into the parts in front of and behind a plane
+     * 
+     * @param {THREE.BufferGeometry} geometry - Non-indexed geometry in plane space
+     * @param {THREE.Plane} plane - Cutting plane
+     * @param {Array} cutSegments - Receives [start, end] cut edges on the plane
+     * @returns {Object} { front, back } geometries (null when a side is empty)
+     */
+    splitGeometry(geometry, plane, cutSegments) {
+        const position = geometry.attributes.position;
+        const normal = geometry.attributes.normal || null;
+        const uv = geometry.attributes.uv || null;
+        
+        const frontVertices = [];
+        const backVertices = [];
+        
+        for (let i = 0; i < position.count; i += 3) {
+            const triangle = [i, i + 1, i + 2].map(index => this.readVertex(index, position, normal, uv));
+            const distances = triangle.map(vertex => {
+                const distance = plane.distanceToPoint(vertex.position);
+                return Math.abs(distance) < this.epsilon ? 0 : distance;    // Snap to the plane
+            });
+            
+            // Whole triangle on one side - no clipping needed
+            if (distances.every(d => d >= 0) || distances.every(d => d <= 0)) {
+                (distances.some(d => d > 0) ? frontVertices : backVertices).push(...triangle);
+                
+                // An edge lying on the plane is part of the cut outline
+                const onPlane = triangle.filter((vertex, j) => distances[j] === 0);
+                if (onPlane.length === 2) {
+                    cutSegments.push(onPlane.map(vertex => vertex.position.clone()));
+                }
+                continue;
+            }
+            
+            /**
+             * Triangle crosses the plane
+             * 
+             * Clip the triangle polygon against both half spaces and fan
+             * triangulate the resulting polygons (3 or 4 vertices each).
+             */
+            const frontPolygon = [];
+            const backPolygon = [];
+            const segment = [];
+            
+            for (let j = 0; j < 3; j++) {
+                const current = triangle[j];
+                const next = triangle[(j + 1) % 3];
+                const dCurrent = distances[j];
+                const dNext = distances[(j + 1) % 3];
+                
+                if (dCurrent >= 0) frontPolygon.push(current);
+                if (dCurrent <= 0) backPolygon.push(current);
+                if (dCurrent === 0) segment.push(current.position.clone());
+                
+                // Edge crosses the plane - add the interpolated intersection to both sides
+                if ((dCurrent > 0 && dNext < 0) || (dCurrent < 0 && dNext > 0)) {
+                    const t = dCurrent / (dCurrent - dNext);
+                    const intersection = this.lerpVertex(current, next, t);
+                    frontPolygon.push(intersection);
+                    backPolygon.push(intersection);
+                    segment.push(intersection.position.clone());
+                }
+            }
+            
+            if (segment.length === 2) cutSegments.push(segment);
+            
+            this.triangulatePolygon(frontPolygon, frontVertices);
+            this.triangulatePolygon(backPolygon, backVertices);
+        }
+        
+        return {
+            front: this.createGeometry(frontVertices, normal !== null, uv !== null),
+            back: this.createGeometry(backVertices, normal !== null, uv !== null)
+        };
+    }
+    
+    /**
+     * Read a vertex with its attributes from buffer attributes
+     * 
+     * @param {number} index - Vertex index
+     * @param {THREE.BufferAttribute} position - Position attribute
+     * @param {THREE.BufferAttribute|null} normal - Normal attribute
+     * @param {THREE.BufferAttribute|null} uv - UV attribute
+     * @returns {Object} Vertex with position, normal and uv
+     */
+    readVertex(index, position, normal, uv) {
+        return {
+            position: new THREE.Vector3().fromBufferAttribute(position, index),
+            normal: normal ? new THREE.Vector3().fromBufferAttribute(normal, index) : null,
+            uv: uv ? new THREE.Vector2().fromBufferAttribute(uv, index) : null
+        };
+    }
+    
+    /**
+     * Interpolate all attributes between two vertices
+     * 
+     * @param {Object} a - Start vertex
+     * @param {Object} b - End vertex
+     * @param {number} t - Interpolation factor [0,1]
+     * @returns {Object} Interpolated vertex
+     */
+    lerpVertex(a, b, t) {
+        return {
+            position: a.position.clone().lerp(b.position, t),
+            normal: a.normal ? a.normal.clone().lerp(b.normal, t).normalize() : null,
+            uv: a.uv ? a.uv.clone().lerp(b.uv, t) : null
+        };
+    }
+    
+    /**
+     * Fan triangulate a convex polygon into a vertex list
+     * 
+     * @param {Array} polygon - Polygon vertices in winding order
+     * @param {Array} output - Receives triangle vertices
+     */
+    triangulatePolygon(polygon, output) {
+        for (let i = 1; i < polygon.length - 1; i++) {
+            output.push(polygon[0], polygon[i], polygon[i + 1]);
+        }
+    }
+    
+    /**
+     * Build a BufferGeometry from a triangle vertex list
+     * 
+     * @param {Array} vertices - Triangle vertices
+     * @param {boolean} hasNormals - Whether to write the normal attribute
+     * @param {boolean} hasUVs - Whether to write the uv attribute
+     * @returns {THREE.BufferGeometry|null} Geometry, or null if there are no triangles
+     */
+    createGeometry(vertices, hasNormals, hasUVs) {
+        if (vertices.length === 0) return null;
+        
+        const positions = new Float32Array(vertices.length * 3);
+        const normals = hasNormals ? new Float32Array(vertices.length * 3) : null;
+        const uvs = hasUVs ? new Float32Array(vertices.length * 2) : null;
+        
+        vertices.forEach((vertex, i) => {
+            vertex.position.toArray(positions, i * 3);
+            if (normals) vertex.normal.toArray(normals, i * 3);
+            if (uvs) vertex.uv.toArray(uvs, i * 2);
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        if (normals) {
+            geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        } else {
+            geometry.computeVertexNormals();
+        }
+        if (uvs) geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        
+        return geometry;
+    }
+    
+    /**
+     * Group cut edges into connected outlines
+     * 
+     * Edges sharing an end point (after welding nearby points) belong to the
+     * same outline. Each outline is returned as its list of points.
+     * 
+     * @param {Array} segments - [start, end] cut edges
+     * @returns {Array} Outlines with at least three points
+     */
+    groupOutlines(segments) {
+        const parent = new Map();
+        const points = new Map();
+        
+        const keyOf = (point) => point.toArray()
+            .map(value => Math.round(value * this.weldPrecision))
+            .join(',');
+        const find = (key) => {
+            while (parent.get(key) !== key) {
+                parent.set(key, parent.get(parent.get(key)));
+                key = parent.get(key);
+            }
+            return key;
+        };
+        
+        // Union-find over welded point keys
+        for (const segment of segments) {
+            const keys = segment.map(keyOf);
+            keys.forEach((key, i) => {
+                if (!parent.has(key)) {
+                    parent.set(key, key);
+                    points.set(key, segment[i]);
+                }
+            });
+            parent.set(find(keys[0]), find(keys[1]));
+        }
+        
+        const outlines = new Map();
+        for (const [key, point] of points) {
+            const root = find(key);
+            if (!outlines.has(root)) outlines.set(root, []);
+            outlines.get(root).push(point);
+        }
+        
+        return [...outlines.values()].filter(outline => outline.length >= 3);
+    }
+    
+    /**
+     * Build the cap geometry that closes the cut faces
+     * 
+     * Points of each outline are sorted by angle around the outline's centroid
+     * (in a 2D basis on the plane) and fan triangulated. Every triangle is
+     * wound so that it faces along the requested normal.
+     * 
+     * @param {Array} outlines - Point lists of the cut outlines
+     * @param {THREE.Vector3} faceNormal - Direction the cap should face
+     * @returns {THREE.BufferGeometry} Cap geometry
+     */
+    createCapGeometry(outlines, faceNormal) {
+        const positions = [];
+        const normals = [];
+        const uvs = [];
+        
+        for (const points of outlines) {
+            this.triangulateOutline(points, faceNormal, positions, normals, uvs);
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        
+        return geometry;
+    }
+    
+    /**
+     * Fan triangulate one cut outline into cap attribute arrays
+     * 
+     * @param {Array} points - Points of the outline
+     * @param {THREE.Vector3} faceNormal - Direction the cap should face
+     * @param {Array} positions - Receives vertex positions
+     * @param {Array} normals - Receives vertex normals
+     * @param {Array} uvs - Receives vertex UVs
+     */
+    triangulateOutline(points, faceNormal, positions, normals, uvs) {
+        const centroid = new THREE.Vector3();
+        points.forEach(point => centroid.add(point));
+        centroid.divideScalar(points.length);
+        
+        // 2D basis on the plane for angle sorting and UVs
+        const tangent = new THREE.Vector3().subVectors(points[0], centroid);
+        if (tangent.lengthSq() < this.epsilon) tangent.set(1, 0, 0);
+        tangent.projectOnPlane(faceNormal).normalize();
+        const bitangent = new THREE.Vector3().crossVectors(faceNormal, tangent).normalize();
+        
+        const offset = new THREE.Vector3();
+        const sorted = points
+            .map(point => {
+                offset.subVectors(point, centroid);
+                const u = offset.dot(tangent);
+                const v = offset.dot(bitangent);
+                return { point, u, v, angle: Math.atan2(v, u) };
+            })
+            .sort((a, b) => a.angle - b.angle);
+        
+        const edgeA = new THREE.Vector3();
+        const edgeB = new THREE.Vector3();
+        const triangleNormal = new THREE.Vector3();
+        
+        for (let i = 0; i < sorted.length; i++) {
+            let a = sorted[i];
+            let b = sorted[(i + 1) % sorted.length];
+            
+            // Wind each triangle to face along the cap normal
+            edgeA.subVectors(a.point, centroid);
+            edgeB.subVectors(b.point, centroid);
+            triangleNormal.crossVectors(edgeA, edgeB);
+            if (triangleNormal.dot(faceNormal) < 0) {
+                [a, b] = [b, a];
+            }
+            
+            positions.push(...centroid.toArray(), ...a.point.toArray(), ...b.point.toArray());
+            for (let k = 0; k < 3; k++) normals.push(...faceNormal.toArray());
+            uvs.push(0.5, 0.5, 0.5 + a.u, 0.5 + a.v, 0.5 + b.u, 0.5 + b.v);
+        }
+    }
+    
+    /**
+     * Assemble one piece from its mesh parts and a cap
+     * 
+     * @param {Array} parts - { geometry, material } entries for this side
+     * @param {Array} outlines - Point lists of the cut outlines
+     * @param {THREE.Vector3} capNormal - Direction the cap faces (away from the piece)
+     * @param {THREE.Material} capMaterial - Material for the cut face
+     * @returns {THREE.Group} Piece in the original object's local frame
+     */
+    buildPiece(parts, outlines, capNormal, capMaterial) {
+        const piece = new THREE.Group();
+        
+        for (const part of parts) {
+            const mesh = new THREE.Mesh(part.geometry, part.material.clone());
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            piece.add(mesh);
+        }
+        
+        const cap = new THREE.Mesh(this.createCapGeometry(outlines, capNormal), capMaterial.clone());
+        cap.castShadow = true;
+        piece.add(cap);
+        
+        return piece;
+    }
+}
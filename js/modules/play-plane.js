@@ -0,0 +1,126 @@
+import * as THREE from 'three';
+
+/**
+ * Play Plane Class
+ * 
+ * The plane in world space where the game takes place, facing the camera at
+ * a configurable depth. It maps normalized video coordinates to world points
+ * by casting a ray through the real PerspectiveCamera, so a point drawn at the
+ * result lines up with the same point in the video background for any video
+ * resolution, aspect ratio or field of view. It also reports the visible
+ * extents of the plane, which the food spawner uses for its launch area.
+ * 
+ * The video background fills the whole canvas and the camera's aspect ratio
+ * matches the canvas, so normalized video coordinates correspond directly to
+ * normalized device coordinates (mirrored horizontally like the background).
+ */
+export class PlayPlane {
+    /**
+     * Constructor for PlayPlane
+     * 
+     * @param {THREE.PerspectiveCamera} camera - Camera rendering the scene
+     * @param {number} z - World depth of the plane (camera looks down -Z)
+     * @param {boolean} mirrored - Whether the video background is mirrored horizontally
+     */
+    constructor(camera, z = 0, mirrored = true) {
+        this.camera = camera;
+        this.z = z;
+        this.mirrored = mirrored;
+        
+        // Reused for unprojection
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        this.ndc = new THREE.Vector2();
+    }
+    
+    /**
+     * Map a normalized video coordinate onto the play plane
+     * 
+     * @param {number} x - Horizontal video coordinate [0,1], left to right in the raw video
+     * @param {number} y - Vertical video coordinate [0,1], top to bottom
+     * @param {number} depthOffset - Distance towards the camera from the play plane
+     * @returns {THREE.Vector3} World position under the video pixel at that depth
+     */
+    unproject(x, y, depthOffset = 0) {
+        this.ndc.set(
+            (this.mirrored ? -1 : 1) * (x * 2 - 1),
+            -(y * 2 - 1)
+        );
+        
+        this.camera.updateMatrixWorld();
+        this.raycaster.setFromCamera(this.ndc, this.camera);
+        
+        // Plane z = this.z + depthOffset, written as normal . p + constant = 0
+        this.plane.constant = -(this.z + depthOffset);
+        
+        const point = new THREE.Vector3();
+        if (!this.raycaster.ray.intersectPlane(this.plane, point)) {
+            // Only possible if the plane is behind the camera; keep the point on the camera axis
+            point.set(0, 0, this.z + depthOffset);
+        }
+        return point;
+    }
+    
+    /**
+     * Map a normalized screen coordinate onto the play plane
+     * 
+     * Unlike video coordinates, screen coordinates are never mirrored
+     * (used for mouse and touch input on the canvas).
+     * 
+     * @param {number} x - Horizontal canvas coordinate [0,1], left to right on screen
+     * @param {number} y - Vertical canvas coordinate [0,1], top to bottom
+     * @param {number} depthOffset - Distance towards the camera from the play plane
+     * @returns {THREE.Vector3} World position under the screen point at that depth
+     */
+    unprojectScreen(x, y, depthOffset = 0) {
+        return this.unproject(this.mirrored ? 1 - x : x, y, depthOffset);
+    }
+    
+    /**
+     * Visible extents of the plane (or of a parallel plane at another depth)
+     * 
+     * @param {number} z - World depth to measure at (defaults to the play plane)
+     * @returns {Object} { left, right, top, bottom, width, height } in world units
+     */
+    getBounds(z = this.z) {
+        const distance = this.camera.position.z - z;
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2)) * distance;
+        const halfWidth = halfHeight * this.camera.aspect;
+        
+        return {
+            left: this.camera.position.x - halfWidth,
+            right: this.camera.position.x + halfWidth,
+            top: this.camera.position.y + halfHeight,
+            bottom: this.camera.position.y - halfHeight,
+            width: halfWidth * 2,
+            height: halfHeight * 2
+        };
+    }
+    
+    /**
+     * Distance from the camera to the play plane
+     * 
+     * @returns {number} Distance in world units
+     */
+    getDistance() {
+        return this.camera.position.z - this.z;
+    }
+    
+    /**
+     * Aspect ratio of the view (and of the video, which fills it)
+     * 
+     * @returns {number} Width / height
+     */
+    getAspect() {
+        return this.camera.aspect;
+    }
+    
+    /**
+     * Move the play plane to another depth
+     * 
+     * @param {number} z - New world depth of the plane
+     */
+    setDepth(z) {
+        this.z = z;
+    }
+}
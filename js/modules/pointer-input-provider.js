@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { InputProvider } from './input-provider.js';
+
+/**
+ * Pointer Input Provider Class
+ * 
+ * Mouse, touch and pen input as an input provider, for players without a
+ * webcam and for testing the game logic at a desk. Every pressed pointer
+ * (held mouse button, finger on the screen, pen on the tablet) becomes a
+ * blade of type 'pointer', which slices with every blade preset.
+ * 
+ * Pointer events are collected as they arrive and sampled once per frame:
+ * the screen position is projected onto the play plane through the scene
+ * camera, and velocity, previous position and path are derived from the
+ * per-frame samples, just like for tracked fingertips. Pointers always move
+ * on the play plane, so they cannot change depth.
+ */
+export class PointerInputProvider extends InputProvider {
+    /**
+     * Constructor for PointerInputProvider
+     * 
+     * @param {HTMLElement} element - Element receiving pointer events (the game canvas)
+     * @param {PlayPlane} playPlane - Play plane for screen to world mapping
+     */
+    constructor(element, playPlane) {
+        super('pointer');
+        this.element = element;
+        this.playPlane = playPlane;
+        
+        // Pressed pointers by pointer event ID -> { id, pointerType, x, y } (normalized screen coordinates)
+        this.activePointers = new Map();
+        
+        // Per-frame pointer state by pointer ID -> { position, velocityVector, path, time }
+        this.pointerStates = new Map();
+        this.pointers = [];                     // Pointers of the current frame
+        
+        /**
+         * Motion parameters
+         * 
+         * Pointer events are precise, so only a light smoothing of the
+         * velocity is needed to even out uneven event timing. Paths match
+         * the fingertip paths of the HandDetector.
+         */
+        this.velocitySmoothing = 0.5;           // Weight of the previous velocity
+        this.pathDuration = 250;                // Milliseconds of path to keep
+        this.maxPathLength = 12;                // Maximum samples per path
+        
+        // Bound event handlers (kept for removal in dispose)
+        this.handlePointerDown = this.onPointerDown.bind(this);
+        this.handlePointerMove = this.onPointerMove.bind(this);
+        this.handlePointerUp = this.onPointerUp.bind(this);
+    }
+    
+    /**
+     * Start listening to pointer events
+     */
+    async initialize() {
+        this.element.addEventListener('pointerdown', this.handlePointerDown);
+        this.element.addEventListener('pointermove', this.handlePointerMove);
+        this.element.addEventListener('pointerup', this.handlePointerUp);
+        this.element.addEventListener('pointercancel', this.handlePointerUp);
+    }
+    
+    /**
+     * Handle a pointer being pressed
+     * 
+     * The pointer is captured, so it keeps slicing when it moves over the HUD.
+     * 
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        event.preventDefault();
+        this.element.setPointerCapture(event.pointerId);
+        this.activePointers.set(event.pointerId, {
+            id: `pointer_${event.pointerId}`,
+            pointerType: event.pointerType,
+            ...this.toNormalized(event)
+        });
+    }
+    
+    /**
+     * Handle a pointer moving
+     * 
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        const pointer = this.activePointers.get(event.pointerId);
+        if (pointer) {
+            Object.assign(pointer, this.toNormalized(event));
+        }
+    }
+    
+    /**
+     * Handle a pointer being released or cancelled
+     * 
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp(event) {
+        this.activePointers.delete(event.pointerId);
+    }
+    
+    /**
+     * Convert a pointer event position to normalized element coordinates
+     * 
+     * @param {PointerEvent} event - Pointer event
+     * @returns {Object} { x, y } in [0,1], left to right and top to bottom
+     */
+    toNormalized(event) {
+        const rect = this.element.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / rect.width,
+            y: (event.clientY - rect.top) / rect.height
+        };
+    }
+    
+    /**
+     * Sample all pressed pointers for the current frame
+     */
+    update() {
+        const currentTime = performance.now();
+        this.pointers = [];
+        
+        for (const pointer of this.activePointers.values()) {
+            const position = this.playPlane.unprojectScreen(pointer.x, pointer.y);
+            const state = this.pointerStates.get(pointer.id);
+            const previousPosition = state ? state.position : null;
+            
+            // Velocity from the movement since the last frame
+            const velocityVector = new THREE.Vector3();
+            if (state && currentTime > state.time) {
+                const frameVelocity = position.clone().sub(state.position).divideScalar((currentTime - state.time) / 1000);
+                velocityVector.copy(state.velocityVector).lerp(frameVelocity, 1 - this.velocitySmoothing);
+            }
+            
+            const path = state ? state.path : [];
+            path.push({ position: position.clone(), time: currentTime });
+            while (path.length > this.maxPathLength || (path.length > 1 && currentTime - path[0].time > this.pathDuration)) {
+                path.shift();
+            }
+            
+            this.pointerStates.set(pointer.id, { position, velocityVector, path, time: currentTime });
+            
+            this.pointers.push({
+                id: pointer.id,
+                type: 'pointer',
+                pointerType: pointer.pointerType,   // 'mouse', 'touch' or 'pen'
+                position: position.clone(),
+                predictedPosition: position.clone(),    // Pointer events have no tracking latency
+                previousPosition: previousPosition ? previousPosition.clone() : null,
+                velocity: velocityVector.length(),
+                velocityVector: velocityVector.clone(),
+                acceleration: new THREE.Vector3(),
+                path: [...path],
+                handedness: null,
+                confidence: 1
+            });
+        }
+        
+        // Forget released pointers
+        for (const id of this.pointerStates.keys()) {
+            if (!this.pointers.some(pointer => pointer.id === id)) {
+                this.pointerStates.delete(id);
+            }
+        }
+    }
+    
+    /**
+     * Get the pressed pointers of the current frame
+     * 
+     * @returns {Array} Pointer objects
+     */
+    getPointers() {
+        return this.pointers;
+    }
+    
+    /**
+     * Stop listening to pointer events
+     */
+    dispose() {
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+        this.activePointers.clear();
+        this.pointerStates.clear();
+        this.pointers = [];
+    }
+}
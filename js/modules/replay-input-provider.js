@@ -0,0 +1,140 @@
+import { InputProvider } from './input-provider.js';
+import { HandDetector } from './hand-detector.js';
+
+/**
+ * Replay Input Provider Class
+ * 
+ * Plays back a recording made by the SessionRecorder in place of live hand
+ * detection. The recorded MediaPipe results are fed into a HandDetector at
+ * their original pace, so tracking, filtering, depth estimation and
+ * interpolation run exactly as they did live - without a camera.
+ * 
+ * The playback clock can be driven explicitly (update(time)), so test
+ * scripts can step through a recording at any frame rate and get the same
+ * detection results every run.
+ */
+export class ReplayInputProvider extends InputProvider {
+    /**
+     * Constructor for ReplayInputProvider
+     * 
+     * @param {Object} recording - Recording in the SessionRecorder format
+     * @param {PlayPlane} playPlane - Play plane for coordinate transformations
+     * @param {Object} options - Playback options
+     * @param {boolean} options.loop - Restart the recording when it ends
+     * @param {Object} options.trackingConfig - Tracking configuration for the HandDetector
+     */
+    constructor(recording, playPlane, { loop = false, trackingConfig } = {}) {
+        super('replay');
+        
+        if (!recording || !Array.isArray(recording.frames)) {
+            throw new Error('Invalid hand tracking recording');
+        }
+        
+        this.recording = recording;
+        this.loop = loop;
+        
+        // Detector running the recorded results through the tracking pipeline (no video needed)
+        this.handDetector = new HandDetector(null, playPlane, trackingConfig);
+        this.handDetector.detectionMode = 'replay';
+        this.handDetector.isReady = true;
+        
+        // Estimate depth with the recorded player's calibration instead of this browser's
+        const calibration = recording.depthCalibration;
+        if (calibration) {
+            this.handDetector.depthEstimator.applyReference(calibration.referencePalmSize, calibration.calibrated);
+        }
+        
+        // Playback state
+        this.startTime = null;              // Playback time of the recording's start
+        this.nextFrame = 0;                 // Index of the next frame to feed
+        this.finished = false;              // Whether the end was reached (without looping)
+        
+        if (recording.aspect && Math.abs(recording.aspect - playPlane.getAspect()) > 0.01) {
+            console.warn(`Recording aspect ${recording.aspect.toFixed(2)} differs from the view (${playPlane.getAspect().toFixed(2)}); hands will be stretched`);
+        }
+    }
+    
+    /**
+     * Load a recording from a URL
+     * 
+     * @param {string} url - URL of a recording JSON file
+     * @returns {Promise<Object>} The recording
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load recording ${url}: ${response.status}`);
+        }
+        return response.json();
+    }
+    
+    /**
+     * Advance playback and feed all frames that are due
+     * 
+     * @param {number} time - Playback time in milliseconds (defaults to now)
+     */
+    update(time = performance.now()) {
+        if (this.startTime === null) {
+            this.startTime = time;
+        }
+        
+        const frames = this.recording.frames;
+        const elapsed = time - this.startTime;
+        
+        while (this.nextFrame < frames.length && frames[this.nextFrame].time <= elapsed) {
+            const frame = frames[this.nextFrame++];
+            this.handDetector.processHandResults(frame, this.startTime + frame.time, time);
+        }
+        
+        if (this.nextFrame >= frames.length && elapsed >= (this.recording.duration || 0)) {
+            if (this.loop) {
+                this.restart(time);
+            } else if (!this.finished) {
+                // Let the hands leave at the end of the recording
+                this.handDetector.processHandResults({ landmarks: [], handednesses: [] }, time, time);
+                this.finished = true;
+            }
+        }
+        
+        this.handDetector.updateHands(time);
+    }
+    
+    /**
+     * Start the recording from the beginning
+     * 
+     * @param {number} time - Playback time of the new start (defaults to the next update)
+     */
+    restart(time = null) {
+        this.handDetector.reset();
+        this.startTime = time;
+        this.nextFrame = 0;
+        this.finished = false;
+    }
+    
+    /**
+     * Get the fingertips of the replayed hands
+     * 
+     * @returns {Array} Fingertips at the current playback time
+     */
+    getPointers() {
+        return this.handDetector.getAllFingertips();
+    }
+    
+    /**
+     * Check whether any replayed hands are present
+     * 
+     * @returns {boolean} True if at least one hand is present
+     */
+    hasPointers() {
+        return this.handDetector.hasHands();
+    }
+    
+    /**
+     * Check whether playback reached the end (never true when looping)
+     * 
+     * @returns {boolean} True after the last frame was played
+     */
+    isFinished() {
+        return this.finished;
+    }
+}
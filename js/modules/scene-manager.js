@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import * as CANNON from 'cannon-es';
+import { PlayPlane } from './play-plane.js';
 
 /**
  * Scene Manager Class
@@ -12,6 +13,7 @@ import * as CANNON from 'cannon-es';
  * Key responsibilities:
  * - Initialize and configure Three.js renderer with optimal settings
  * - Set up 3D scene with proper camera and lighting for AR experience
+ * - Provide the play plane that maps video coordinates into the scene
  * - Integrate physics simulation with visual rendering
  * - Manage video background for augmented reality effect
  * - Coordinate between visual objects and their physics bodies
@@ -32,10 +34,13 @@ export class SceneManager {
         this.renderer = null;              // WebGL renderer for 3D graphics
         this.scene = null;                 // Container for all 3D objects
         this.camera = null;                // Virtual camera defining viewpoint
+        this.playPlane = null;             // Plane where hands and food meet
+        this.playPlaneZ = 0;               // World depth of the play plane
         
         // Physics simulation
         this.physicsWorld = null;          // Cannon.js physics world
         this.physicsObjects = [];          // Array tracking visual-physics object pairs
+        this.gravity = -2.2;               // Vertical gravity for everything in the physics world
         
         // Visual enhancement systems
         this.lights = [];                  // Array of light objects for scene illumination
@@ -109,6 +114,9 @@ export class SceneManager {
         this.camera.position.set(0, 0, 5);                 // Position camera for good game view
         this.scene.add(this.camera);
         
+        // Hands are unprojected through this camera onto the play plane
+        this.playPlane = new PlayPlane(this.camera, this.playPlaneZ);
+        
         // Initialize scene components
         this.setupVideoBackground();
         this.setupLighting();
@@ -197,8 +205,11 @@ export class SceneManager {
          * - Give players more time to react to falling objects
          * - Create a more game-like, less frantic experience
          * - Allow for better tracking accuracy with current hand detection
+         * 
+         * This is the single gravity setting for the game: food launch arcs
+         * are computed from it as well.
          */
-        this.physicsWorld.gravity.set(0, -2.2, 0); 
+        this.physicsWorld.gravity.set(0, this.gravity, 0);
         
         /**
          * Configure collision detection system
@@ -347,6 +358,29 @@ export class SceneManager {
         return this.scene;
     }
     
+    /**
+     * Get the vertical gravity of the physics world
+     * 
+     * @returns {number} Gravity along the Y axis (negative = downward)
+     */
+    getGravity() {
+        return this.gravity;
+    }
+    
+    /**
+     * Change the vertical gravity of the physics world
+     * 
+     * Affects all bodies immediately and all food launched afterwards.
+     * 
+     * @param {number} gravity - Gravity along the Y axis (negative = downward)
+     */
+    setGravity(gravity) {
+        this.gravity = gravity;
+        if (this.physicsWorld) {
+            this.physicsWorld.gravity.set(0, gravity, 0);
+        }
+    }
+    
     /**
      * Get reference to the scene camera
      * 
@@ -358,4 +392,15 @@ export class SceneManager {
     getCamera() {
         return this.camera;
     }
+    
+    /**
+     * Get the play plane
+     * 
+     * Used to map hand landmarks into the scene and to size the launch area.
+     * 
+     * @returns {PlayPlane} The play plane in front of the camera
+     */
+    getPlayPlane() {
+        return this.playPlane;
+    }
 }
\ No newline at end of file
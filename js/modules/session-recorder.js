@@ -0,0 +1,139 @@
+/**
+ * Session Recorder Class
+ * 
+ * Records hand tracking sessions for reproducible input. While recording,
+ * every raw MediaPipe result the HandDetector processes is stored with its
+ * capture timestamp. Raw results (normalized landmarks and handedness) are
+ * recorded rather than processed hands, so a replay runs them through the
+ * current tracking, filtering and depth code - a recording made before a
+ * fix can be used to check the fix.
+ * 
+ * Recording format (JSON):
+ * - version: Format version (1)
+ * - recordedAt: ISO date of the recording
+ * - aspect: Video aspect ratio (width / height) during the recording
+ * - duration: Length of the recording in milliseconds
+ * - depthCalibration: { referencePalmSize, calibrated } of the DepthEstimator,
+ *   so replays estimate hand depth exactly as during the recording
+ * - frames: Array of { time, landmarks, handednesses }
+ *   - time: Milliseconds since the start of the recording
+ *   - landmarks: Per hand, 21 landmarks as { x, y, z } (MediaPipe normalized coordinates)
+ *   - handednesses: Per hand, [{ categoryName, score }]
+ * 
+ * Recordings are replayed with the ReplayInputProvider.
+ */
+export class SessionRecorder {
+    /**
+     * Constructor for SessionRecorder
+     */
+    constructor() {
+        this.handDetector = null;           // Detector being recorded
+        this.frames = [];                   // Recorded frames
+        this.startTime = null;              // Timestamp of the first recorded result
+        this.recording = false;             // Recording status flag
+        this.precision = 1e5;               // Coordinates are rounded to 5 decimals to keep files small
+    }
+    
+    /**
+     * Start recording a hand detector's results
+     * 
+     * @param {HandDetector} handDetector - Detector to record
+     */
+    start(handDetector) {
+        if (this.recording) return;
+        
+        this.handDetector = handDetector;
+        this.frames = [];
+        this.startTime = null;
+        this.recording = true;
+        
+        handDetector.onDetection = (results, timestamp) => this.recordFrame(results, timestamp);
+        console.log('Recording hand tracking session');
+    }
+    
+    /**
+     * Store one detection result
+     * 
+     * Results are copied into plain objects, since MediaPipe may reuse
+     * its result objects between frames.
+     * 
+     * @param {Object} results - MediaPipe results with landmarks and handednesses
+     * @param {number} timestamp - Capture time of the frame in milliseconds
+     */
+    recordFrame(results, timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+        
+        const round = (value) => Math.round(value * this.precision) / this.precision;
+        
+        this.frames.push({
+            time: round(timestamp - this.startTime),
+            landmarks: (results.landmarks || []).map(hand =>
+                hand.map(landmark => ({ x: round(landmark.x), y: round(landmark.y), z: round(landmark.z) }))
+            ),
+            handednesses: (results.handednesses || []).map(categories =>
+                categories.map(category => ({ categoryName: category.categoryName, score: round(category.score) }))
+            )
+        });
+    }
+    
+    /**
+     * Stop recording
+     * 
+     * @returns {Object} The recording (see class description)
+     */
+    stop() {
+        if (this.handDetector) {
+            this.handDetector.onDetection = null;
+        }
+        this.recording = false;
+        
+        const lastFrame = this.frames[this.frames.length - 1];
+        const depthEstimator = this.handDetector ? this.handDetector.depthEstimator : null;
+        const recording = {
+            version: 1,
+            recordedAt: new Date().toISOString(),
+            aspect: this.handDetector ? this.handDetector.playPlane.getAspect() : null,
+            duration: lastFrame ? lastFrame.time : 0,
+            depthCalibration: depthEstimator ? {
+                referencePalmSize: depthEstimator.referencePalmSize,
+                calibrated: depthEstimator.isCalibrated()
+            } : null,
+            frames: this.frames
+        };
+        
+        console.log(`Recorded ${this.frames.length} frames (${(recording.duration / 1000).toFixed(1)} s)`);
+        this.handDetector = null;
+        this.frames = [];
+        return recording;
+    }
+    
+    /**
+     * Check whether a recording is in progress
+     * 
+     * @returns {boolean} True while recording
+     */
+    isRecording() {
+        return this.recording;
+    }
+    
+    /**
+     * Save a recording as a JSON file download
+     * 
+     * @param {Object} recording - Recording returned by stop()
+     * @param {string} filename - Name of the downloaded file
+     */
+    download(recording, filename = `hand-session-${recording.recordedAt.replace(/[:.]/g, '-')}.json`) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        // Release the file once the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
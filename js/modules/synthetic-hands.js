@@ -0,0 +1,296 @@
+/**
+ * Synthetic Hand Generator Class
+ * 
+ * Produces fake MediaPipe hand landmark streams for automated tests of the
+ * slicing pipeline (HandDetector -> CollisionDetector -> GameLogic). Each
+ * generated frame has the shape of a MediaPipe result plus a timestamp, so
+ * it can be passed straight to HandDetector.processHandResults():
+ * 
+ *     const generator = new SyntheticHandGenerator({ seed: 7 })
+ *         .addHand({ path: { type: 'swipe', from: [0.2, 0.5], to: [0.8, 0.5], speed: 1.5 } });
+ *     for (const frame of generator.generate(1000)) {
+ *         handDetector.processHandResults(frame, frame.time, frame.time);
+ *         handDetector.updateHands(frame.time);
+ *     }
+ * 
+ * Randomness (jitter, random dropouts) comes from a seeded generator, so the
+ * same script always produces the same stream. The generator has no browser
+ * dependencies and runs in plain Node or jsdom; generated streams can also be
+ * saved as recordings for the ReplayInputProvider.
+ * 
+ * Coordinates are MediaPipe's normalized video coordinates (x right, y down,
+ * in [0,1]) of the raw, unmirrored video. Distances and speeds are measured
+ * in video heights (per second), so paths keep their shape at any aspect ratio.
+ * 
+ * Hand options (addHand):
+ * - path: Movement of the index fingertip; a path object or a function
+ *   (time in ms) => [x, y]. Path objects:
+ *   - { type: 'hold', at }: Stay at one point
+ *   - { type: 'swipe', from, to, speed }: Straight line, then stay at the end
+ *   - { type: 'circle', center, radius, speed, startAngle }: Circle (clockwise on the video)
+ *   - { type: 'zigzag', from, to, amplitude, wavelength, speed }: Triangle wave along a line
+ * - handedness: 'Right' or 'Left' (default 'Right')
+ * - confidence: Handedness score [0,1] (default 0.95)
+ * - palmSize: Wrist to middle finger base in video heights, sets the estimated depth
+ *   (default 0.13, the DepthEstimator's uncalibrated reference); a number or (time) => size
+ * - start, end: Time span in ms in which the hand is present (default: whole stream)
+ * - jitter: Standard deviation of landmark noise in video heights (default 0)
+ * - dropoutRate: Probability that the hand is missing from a frame [0,1] (default 0)
+ * - dropouts: Explicit [start, end] time spans in ms in which the hand is missing
+ */
+export class SyntheticHandGenerator {
+    /**
+     * Constructor for SyntheticHandGenerator
+     * 
+     * @param {Object} options - Stream options
+     * @param {number} options.seed - Seed for jitter and random dropouts
+     * @param {number} options.frameRate - Detection results per second
+     * @param {number} options.aspect - Video aspect ratio (width / height)
+     */
+    constructor({ seed = 1, frameRate = 30, aspect = 16 / 9 } = {}) {
+        this.seed = seed;
+        this.frameRate = frameRate;
+        this.aspect = aspect;
+        
+        this.hands = [];                    // Hand definitions in result order
+        this.swapTimes = [];                // Times (ms) at which the result order of the hands flips
+        
+        /**
+         * Open hand template
+         * 
+         * Landmark positions in palm lengths (wrist to middle finger base)
+         * for a right hand seen from the camera, fingers pointing up
+         * (y down, wrist at the origin). The knuckle width (5 to 17) is
+         * 0.8 palm lengths, matching the DepthEstimator's assumption.
+         */
+        this.template = [
+            [0, 0, 0],                                                                      // 0 Wrist
+            [-0.35, -0.15, -0.05], [-0.55, -0.35, -0.08], [-0.7, -0.55, -0.1], [-0.8, -0.75, -0.12],   // Thumb
+            [-0.33, -0.95, -0.03], [-0.35, -1.35, -0.06], [-0.36, -1.6, -0.08], [-0.37, -1.82, -0.1],  // Index
+            [0, -1.0, -0.02], [0, -1.42, -0.05], [0, -1.7, -0.07], [0, -1.93, -0.09],                  // Middle
+            [0.25, -0.93, -0.02], [0.28, -1.3, -0.05], [0.3, -1.55, -0.07], [0.31, -1.75, -0.08],      // Ring
+            [0.47, -0.8, -0.02], [0.53, -1.08, -0.04], [0.56, -1.27, -0.05], [0.58, -1.42, -0.06]      // Pinky
+        ];
+        this.anchorIndex = 8;               // The path moves the index fingertip
+    }
+    
+    /**
+     * Add a hand to the stream
+     * 
+     * @param {Object} options - Hand options (see class description)
+     * @returns {SyntheticHandGenerator} This generator, for chaining
+     */
+    addHand(options = {}) {
+        this.hands.push({
+            path: { type: 'hold', at: [0.5, 0.5] },
+            handedness: 'Right',
+            confidence: 0.95,
+            palmSize: 0.13,
+            start: 0,
+            end: Infinity,
+            jitter: 0,
+            dropoutRate: 0,
+            dropouts: [],
+            ...options
+        });
+        return this;
+    }
+    
+    /**
+     * Flip the order in which the hands are reported from the given times on
+     * 
+     * MediaPipe does not report hands in a stable order; this reproduces
+     * that for testing hand identity tracking.
+     * 
+     * @param {...number} times - Times in ms
+     * @returns {SyntheticHandGenerator} This generator, for chaining
+     */
+    swapHandsAt(...times) {
+        this.swapTimes.push(...times);
+        return this;
+    }
+    
+    /**
+     * Generate the detection results of a time span
+     * 
+     * Every call starts from the seed, so repeated calls return the same frames.
+     * 
+     * @param {number} duration - Length of the stream in ms
+     * @returns {Array} Frames as { time, landmarks, handednesses }
+     */
+    generate(duration) {
+        const random = createRandom(this.seed);
+        const frames = [];
+        const frameInterval = 1000 / this.frameRate;
+        
+        for (let frame = 0; frame * frameInterval <= duration; frame++) {
+            const time = frame * frameInterval;
+            const present = [];
+            
+            for (const hand of this.hands) {
+                if (time < hand.start || time > hand.end) continue;
+                
+                const dropped = random() < hand.dropoutRate
+                    || hand.dropouts.some(([from, to]) => time >= from && time <= to);
+                const landmarks = this.createLandmarks(hand, time - hand.start, random);
+                if (dropped) continue;
+                
+                present.push({
+                    landmarks,
+                    handedness: [{ categoryName: hand.handedness, score: hand.confidence }]
+                });
+            }
+            
+            const swaps = this.swapTimes.filter(swapTime => time >= swapTime).length;
+            if (swaps % 2 === 1) {
+                present.reverse();
+            }
+            
+            frames.push({
+                time,
+                landmarks: present.map(hand => hand.landmarks),
+                handednesses: present.map(hand => hand.handedness)
+            });
+        }
+        
+        return frames;
+    }
+    
+    /**
+     * Generate a stream as a recording for the ReplayInputProvider
+     * 
+     * @param {number} duration - Length of the stream in ms
+     * @returns {Object} Recording in the SessionRecorder format
+     */
+    toRecording(duration) {
+        const frames = this.generate(duration);
+        return {
+            version: 1,
+            recordedAt: new Date(0).toISOString(),  // Fixed, so generated files do not change between runs
+            aspect: this.aspect,
+            duration: frames.length > 0 ? frames[frames.length - 1].time : 0,
+            depthCalibration: { referencePalmSize: 0.13, calibrated: false },  // The palm sizes above assume the uncalibrated reference
+            synthetic: true,
+            frames
+        };
+    }
+    
+    /**
+     * Create the landmarks of one hand at a point in time
+     * 
+     * Noise is drawn even for dropped frames, so adding a dropout does not
+     * change the noise of the following frames.
+     * 
+     * @param {Object} hand - Hand definition
+     * @param {number} time - Time since the hand's start in ms
+     * @param {Function} random - Seeded random number generator
+     * @returns {Array} 21 landmarks as { x, y, z }
+     */
+    createLandmarks(hand, time, random) {
+        const [anchorX, anchorY] = this.getPathPosition(hand.path, time);
+        const palmSize = typeof hand.palmSize === 'function' ? hand.palmSize(time) : hand.palmSize;
+        const mirror = hand.handedness === 'Left' ? -1 : 1;
+        const anchor = this.template[this.anchorIndex];
+        
+        return this.template.map(([x, y, z]) => ({
+            x: anchorX + (mirror * (x - anchor[0]) * palmSize + gaussian(random) * hand.jitter) / this.aspect,
+            y: anchorY + (y - anchor[1]) * palmSize + gaussian(random) * hand.jitter,
+            z: z * palmSize
+        }));
+    }
+    
+    /**
+     * Position of a path at a point in time
+     * 
+     * @param {Object|Function} path - Path object or function (see class description)
+     * @param {number} time - Time since the hand's start in ms
+     * @returns {Array} [x, y] in normalized video coordinates
+     */
+    getPathPosition(path, time) {
+        if (typeof path === 'function') return path(time);
+        
+        const seconds = time / 1000;
+        
+        switch (path.type) {
+            case 'swipe': {
+                const { direction, length } = this.getLine(path.from, path.to);
+                return this.alongLine(path.from, direction, Math.min(path.speed * seconds, length));
+            }
+            case 'circle': {
+                const angle = (path.startAngle || 0) + (path.speed * seconds) / path.radius;
+                return [
+                    path.center[0] + Math.cos(angle) * path.radius / this.aspect,
+                    path.center[1] + Math.sin(angle) * path.radius
+                ];
+            }
+            case 'zigzag': {
+                const { direction, length } = this.getLine(path.from, path.to);
+                const distance = Math.min(path.speed * seconds, length);
+                const [x, y] = this.alongLine(path.from, direction, distance);
+                
+                // Triangle wave perpendicular to the line: 0 -> +amplitude -> -amplitude -> 0 per wavelength
+                const phase = (distance / path.wavelength) % 1;
+                const offset = path.amplitude * (phase < 0.25 ? phase * 4 : phase < 0.75 ? 2 - phase * 4 : phase * 4 - 4);
+                return [x - direction[1] * offset / this.aspect, y + direction[0] * offset];
+            }
+            case 'hold':
+            default:
+                return [...path.at];
+        }
+    }
+    
+    /**
+     * Direction and length of a line in video heights
+     * 
+     * @param {Array} from - Start [x, y]
+     * @param {Array} to - End [x, y]
+     * @returns {Object} { direction, length } with direction as a unit [dx, dy]
+     */
+    getLine(from, to) {
+        const dx = (to[0] - from[0]) * this.aspect;
+        const dy = to[1] - from[1];
+        const length = Math.hypot(dx, dy);
+        return { direction: length > 0 ? [dx / length, dy / length] : [0, 0], length };
+    }
+    
+    /**
+     * Point at a distance along a line
+     * 
+     * @param {Array} from - Start [x, y]
+     * @param {Array} direction - Unit direction in video heights
+     * @param {number} distance - Distance in video heights
+     * @returns {Array} [x, y] in normalized video coordinates
+     */
+    alongLine(from, direction, distance) {
+        return [from[0] + direction[0] * distance / this.aspect, from[1] + direction[1] * distance];
+    }
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * 
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0,1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal sample (Box-Muller)
+ * 
+ * @param {Function} random - Uniform random number generator
+ * @returns {number} Normally distributed number with mean 0 and deviation 1
+ */
+function gaussian(random) {
+    const u = 1 - random();     // (0,1], avoids log(0)
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
@@ -0,0 +1,158 @@
+/**
+ * Hand Tracking Configuration
+ * 
+ * Where the MediaPipe runtime and model are loaded from and how the
+ * HandLandmarker is set up. HandDetector takes a configuration built by
+ * getTrackingConfig(); the same configuration is used by the detection
+ * worker and by the main thread fallback.
+ * 
+ * Asset sources:
+ * - cdn: MediaPipe from jsDelivr and the model from Google's model storage
+ * - local: Self-hosted copies under ./vendor/ (see README, Offline Setup),
+ *   so the game runs without an internet connection
+ * 
+ * Configuration properties:
+ * - assetSource: Name of the asset source the paths below default to
+ * - visionPath: URL of the tasks-vision ES module (vision_bundle.mjs)
+ * - wasmPath: Directory containing the tasks-vision WASM files
+ * - modelBasePath: Directory containing the model variants
+ * - modelVariant: Model subdirectory (e.g., 'float16/1'); the model file is
+ *   `${modelBasePath}/${modelVariant}/hand_landmarker.task`
+ * - delegate: 'GPU' or 'CPU'; GPU falls back to CPU if it fails to initialize
+ * - numHands: Maximum number of hands tracked at once
+ * - minHandDetectionConfidence: Threshold for initial palm detection [0,1]
+ * - minHandPresenceConfidence: Threshold for keeping a tracked hand [0,1]
+ * - minTrackingConfidence: Threshold for landmark tracking between frames [0,1]
+ */
+export const TRACKING_ASSET_SOURCES = {
+    cdn: {
+        visionPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/vision_bundle.mjs',
+        wasmPath: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision/wasm',
+        modelBasePath: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker'
+    },
+    local: {
+        visionPath: './vendor/mediapipe/tasks-vision/vision_bundle.mjs',
+        wasmPath: './vendor/mediapipe/tasks-vision/wasm',
+        modelBasePath: './vendor/mediapipe/models/hand_landmarker'
+    }
+};
+
+/**
+ * Asset source used when none (or an unknown one) is selected
+ */
+export const DEFAULT_ASSET_SOURCE = 'cdn';
+
+/**
+ * Default HandLandmarker setup
+ * 
+ * Balances accuracy with performance: GPU acceleration for real-time
+ * processing, moderate confidence thresholds for reliable detection and
+ * up to 2 hands for flexible interaction.
+ */
+export const DEFAULT_TRACKING_CONFIG = {
+    assetSource: DEFAULT_ASSET_SOURCE,
+    modelVariant: 'float16/1',
+    delegate: 'GPU',
+    numHands: 2,
+    minHandDetectionConfidence: 0.5,
+    minHandPresenceConfidence: 0.5,
+    minTrackingConfidence: 0.5
+};
+
+/**
+ * Build a complete tracking configuration
+ * 
+ * Paths that are not given explicitly come from the selected asset source.
+ * Relative paths are resolved against the page, so they stay valid inside
+ * the detection worker (whose own URL is in js/workers/). Outside a browser
+ * (e.g., Node tests) they are left as they are.
+ * 
+ * @param {Object} overrides - Any configuration properties to change
+ * @returns {Object} Configuration for HandDetector
+ */
+export function getTrackingConfig(overrides = {}) {
+    const definedOverrides = Object.fromEntries(
+        Object.entries(overrides).filter(([, value]) => value !== undefined && value !== null)
+    );
+    
+    const assetSource = TRACKING_ASSET_SOURCES[definedOverrides.assetSource]
+        ? definedOverrides.assetSource
+        : DEFAULT_ASSET_SOURCE;
+    const config = {
+        ...DEFAULT_TRACKING_CONFIG,
+        ...TRACKING_ASSET_SOURCES[assetSource],
+        ...definedOverrides,
+        assetSource
+    };
+    
+    if (typeof document !== 'undefined') {
+        for (const key of ['visionPath', 'wasmPath', 'modelBasePath']) {
+            config[key] = new URL(config[key], document.baseURI).href;
+        }
+    }
+    
+    return config;
+}
+
+/**
+ * Get the model file URL of a configuration
+ * 
+ * @param {Object} config - Tracking configuration
+ * @returns {string} URL of the hand_landmarker.task file
+ */
+export function getModelPath(config) {
+    return `${config.modelBasePath}/${config.modelVariant}/hand_landmarker.task`;
+}
+
+/**
+ * Build the HandLandmarker options of a configuration
+ * 
+ * @param {Object} config - Tracking configuration
+ * @param {string} delegate - Delegate to use (defaults to the configured one)
+ * @returns {Object} Options for HandLandmarker.createFromOptions()
+ */
+export function getLandmarkerOptions(config, delegate = config.delegate) {
+    return {
+        baseOptions: {
+            modelAssetPath: getModelPath(config),
+            delegate: delegate
+        },
+        runningMode: 'VIDEO',           // Optimized for video streams vs single images
+        numHands: config.numHands,
+        minHandDetectionConfidence: config.minHandDetectionConfidence,
+        minHandPresenceConfidence: config.minHandPresenceConfidence,
+        minTrackingConfidence: config.minTrackingConfidence
+    };
+}
+
+/**
+ * Create a HandLandmarker for a configuration
+ * 
+ * Used by the detection worker and the main thread fallback alike. If the
+ * GPU delegate cannot be initialized (no WebGL, blocked drivers), the
+ * landmarker is created on the CPU instead of failing outright.
+ * 
+ * @param {Object} vision - The tasks-vision module (loaded from config.visionPath)
+ * @param {Object} config - Tracking configuration
+ * @returns {Promise<Object>} { handLandmarker, delegate } with the delegate actually in use
+ */
+export async function createHandLandmarker(vision, config) {
+    const filesetResolver = await vision.FilesetResolver.forVisionTasks(config.wasmPath);
+    
+    try {
+        const handLandmarker = await vision.HandLandmarker.createFromOptions(
+            filesetResolver,
+            getLandmarkerOptions(config)
+        );
+        return { handLandmarker, delegate: config.delegate };
+    } catch (error) {
+        if (config.delegate !== 'GPU') throw error;
+        
+        console.warn('GPU delegate unavailable, falling back to CPU:', error);
+        const handLandmarker = await vision.HandLandmarker.createFromOptions(
+            filesetResolver,
+            getLandmarkerOptions(config, 'CPU')
+        );
+        return { handLandmarker, delegate: 'CPU' };
+    }
+}
@@ -0,0 +1,273 @@
+import * as THREE from 'three';
+
+/**
+ * Wave Player Class
+ * 
+ * Plays scripted spawn waves from a JSON definition so that difficulty curves
+ * and set pieces can be designed instead of relying only on random spawning.
+ * The player expands each wave entry into individual launches and hands them
+ * to the FoodSpawner at the right time.
+ * 
+ * Definition format:
+ * {
+ *     "name": "Arcade set pieces",
+ *     "loop": false,              // Restart from the beginning after the last wave
+ *     "randomSpawns": true,       // Keep random spawning running between waves
+ *     "waves": [
+ *         { "time": 4, "type": "apple", "count": 5, "formation": "fan",
+ *           "position": { "x": 0 }, "speed": 5.2, "spread": 40 },
+ *         { "time": 12, "formation": "sequence", "types": ["burger", "bomb", "bomb"],
+ *           "interval": 0.5, "position": { "x": -2 }, "velocity": { "x": 0.6, "y": 5 } }
+ *     ]
+ * }
+ * 
+ * Wave entry fields:
+ * - time: Seconds after playback starts when the wave is launched
+ * - type / types: Food type name, or a list of names for the sequence formation
+ * - formation: 'single', 'fan', 'line' or 'sequence' (default 'single')
+ * - count: Number of items for fan and line formations (default 1)
+ * - position: Launch position {x, y, z}; missing fields use spawner defaults
+ * - velocity: Launch velocity {x, y, z}; omitted = spawner's random arc
+ * - speed / spread: Launch speed and total fan angle in degrees (fan formation)
+ * - spacing: Horizontal distance between items (line formation)
+ * - interval: Seconds between consecutive items (line and sequence formations)
+ */
+export class WavePlayer {
+    /**
+     * Constructor for WavePlayer
+     * 
+     * @param {FoodSpawner} foodSpawner - Spawner that performs the actual launches
+     */
+    constructor(foodSpawner) {
+        this.foodSpawner = foodSpawner;
+        
+        // Playback state
+        this.definition = null;         // Currently loaded wave definition
+        this.playing = false;           // Whether playback is running
+        this.elapsedTime = 0;           // Seconds since playback started
+        this.nextWaveIndex = 0;         // Index of the next wave to launch
+        this.pendingLaunches = [];      // Expanded launches waiting for their time
+        
+        // Supported formations and their defaults
+        this.formations = ['single', 'fan', 'line', 'sequence'];
+        this.defaultSpeed = 5;          // Fan launch speed in units per second
+        this.defaultSpread = 40;        // Fan angle in degrees
+        this.defaultSpacing = 1.5;      // Line spacing in world units
+    }
+    
+    /**
+     * Validate a wave definition
+     * 
+     * Checks the structure and every referenced food type so that mistakes in
+     * hand-written JSON files are reported at load time rather than mid-game.
+     * 
+     * @param {Object} definition - Parsed wave definition
+     * @param {string} source - Name of the definition source for error messages
+     * @throws {Error} If the definition is invalid
+     */
+    validateDefinition(definition, source = 'wave definition') {
+        if (!definition || !Array.isArray(definition.waves)) {
+            throw new Error(`Invalid ${source}: "waves" must be an array`);
+        }
+        
+        definition.waves.forEach((wave, index) => {
+            const label = `${source} wave ${index}`;
+            
+            if (typeof wave.time !== 'number' || wave.time < 0) {
+                throw new Error(`Invalid ${label}: "time" must be a non-negative number`);
+            }
+            
+            const formation = wave.formation || 'single';
+            if (!this.formations.includes(formation)) {
+                throw new Error(`Invalid ${label}: unknown formation "${formation}"`);
+            }
+            
+            const types = formation === 'sequence' ? wave.types : [wave.type];
+            if (!Array.isArray(types) || types.length === 0) {
+                throw new Error(`Invalid ${label}: sequence formation needs a "types" array`);
+            }
+            
+            for (const type of types) {
+                if (!this.foodSpawner.getFoodType(type)) {
+                    throw new Error(`Invalid ${label}: unknown food type "${type}"`);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Start playing a wave definition from the beginning
+     * 
+     * Waves are sorted by time, so the JSON file does not need to be ordered.
+     * 
+     * @param {Object} definition - Validated wave definition
+     */
+    play(definition) {
+        this.definition = {
+            ...definition,
+            waves: [...definition.waves].sort((a, b) => a.time - b.time)
+        };
+        this.playing = true;
+        this.elapsedTime = 0;
+        this.nextWaveIndex = 0;
+        this.pendingLaunches = [];
+    }
+    
+    /**
+     * Stop playback and discard pending launches
+     */
+    stop() {
+        this.playing = false;
+        this.definition = null;
+        this.pendingLaunches = [];
+    }
+    
+    /**
+     * Advance playback and launch all items that are due
+     * 
+     * @param {number} deltaTime - Time elapsed since last frame in seconds
+     */
+    update(deltaTime) {
+        if (!this.playing) return;
+        
+        this.elapsedTime += deltaTime;
+        
+        // Expand every wave whose start time has been reached
+        const waves = this.definition.waves;
+        while (this.nextWaveIndex < waves.length && waves[this.nextWaveIndex].time <= this.elapsedTime) {
+            const wave = waves[this.nextWaveIndex];
+            this.pendingLaunches.push(...this.expandWave(wave));
+            this.nextWaveIndex++;
+        }
+        
+        // Launch due items (pending launches may be staggered by interval)
+        const due = this.pendingLaunches.filter(launch => launch.time <= this.elapsedTime);
+        this.pendingLaunches = this.pendingLaunches.filter(launch => launch.time > this.elapsedTime);
+        
+        for (const launch of due) {
+            this.foodSpawner.spawnFood(launch.type, {
+                position: launch.position,
+                velocity: launch.velocity
+            });
+        }
+        
+        // Handle the end of the definition
+        if (this.nextWaveIndex >= waves.length && this.pendingLaunches.length === 0) {
+            if (this.definition.loop) {
+                this.elapsedTime = 0;
+                this.nextWaveIndex = 0;
+            } else {
+                this.playing = false;
+            }
+        }
+    }
+    
+    /**
+     * Expand a wave entry into individual timed launches
+     * 
+     * @param {Object} wave - Wave entry from the definition
+     * @returns {Array} Launches with time, type, position and velocity
+     */
+    expandWave(wave) {
+        const formation = wave.formation || 'single';
+        const count = wave.count || 1;
+        const interval = wave.interval || 0;
+        const basePosition = wave.position || {};
+        const launches = [];
+        
+        switch (formation) {
+            case 'fan': {
+                /**
+                 * Fan formation
+                 * 
+                 * All items leave the same point at the same time, with launch
+                 * directions spread evenly around vertical.
+                 */
+                const speed = wave.speed || this.defaultSpeed;
+                const spread = THREE.MathUtils.degToRad(wave.spread ?? this.defaultSpread);
+                
+                for (let i = 0; i < count; i++) {
+                    const t = count > 1 ? i / (count - 1) - 0.5 : 0;     // -0.5 .. +0.5
+                    const angle = t * spread;
+                    launches.push({
+                        time: wave.time,
+                        type: wave.type,
+                        position: { ...basePosition },
+                        velocity: {
+                            x: Math.sin(angle) * speed,
+                            y: Math.cos(angle) * speed,
+                            z: 0
+                        }
+                    });
+                }
+                break;
+            }
+            
+            case 'line': {
+                /**
+                 * Line formation
+                 * 
+                 * Items are placed side by side around the base position and
+                 * share the same velocity, optionally staggered in time.
+                 */
+                const spacing = wave.spacing ?? this.defaultSpacing;
+                const baseX = basePosition.x ?? 0;
+                
+                for (let i = 0; i < count; i++) {
+                    launches.push({
+                        time: wave.time + i * interval,
+                        type: wave.type,
+                        position: { ...basePosition, x: baseX + (i - (count - 1) / 2) * spacing },
+                        velocity: wave.velocity ? { ...wave.velocity } : null
+                    });
+                }
+                break;
+            }
+            
+            case 'sequence': {
+                // Different items launched one after another from the same point
+                wave.types.forEach((type, i) => {
+                    launches.push({
+                        time: wave.time + i * interval,
+                        type: type,
+                        position: { ...basePosition },
+                        velocity: wave.velocity ? { ...wave.velocity } : null
+                    });
+                });
+                break;
+            }
+            
+            default: {
+                // Single item (also used for count > 1 launched together)
+                for (let i = 0; i < count; i++) {
+                    launches.push({
+                        time: wave.time + i * interval,
+                        type: wave.type,
+                        position: { ...basePosition },
+                        velocity: wave.velocity ? { ...wave.velocity } : null
+                    });
+                }
+            }
+        }
+        
+        return launches;
+    }
+    
+    /**
+     * Check whether a definition is currently playing
+     * 
+     * @returns {boolean} True while waves are being played
+     */
+    isPlaying() {
+        return this.playing;
+    }
+    
+    /**
+     * Check whether random spawning should continue alongside the waves
+     * 
+     * @returns {boolean} True if random spawns are allowed
+     */
+    allowsRandomSpawns() {
+        return !this.playing || this.definition.randomSpawns !== false;
+    }
+}
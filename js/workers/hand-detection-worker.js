@@ -0,0 +1,111 @@
+/**
+ * Hand Detection Worker
+ * 
+ * Runs MediaPipe hand landmark detection off the render thread. The main
+ * thread (HandDetector) transfers one video frame at a time as an
+ * ImageBitmap together with its capture timestamp; the worker answers with
+ * the raw landmarks and handedness for that timestamp. Only one frame is in
+ * flight at a time, so slow inference drops frames instead of queueing them.
+ * 
+ * Messages from the main thread:
+ * - { type: 'init', config }: Load MediaPipe and create the HandLandmarker (see tracking-config.js)
+ * - { type: 'detect', frame, timestamp }: Detect hands in a frame (frame is transferred)
+ * 
+ * Messages to the main thread:
+ * - { type: 'ready', delegate }: Initialization finished ('GPU' or 'CPU' in use)
+ * - { type: 'result', timestamp, landmarks, handednesses, inferenceTime }
+ * - { type: 'error', message, fatal }: Initialization (fatal) or detection failed
+ * 
+ * Import maps do not apply inside workers, so MediaPipe is imported from the
+ * configured URL (CDN or local copy).
+ * 
+ * This is a module worker, in which importScripts() always throws. MediaPipe
+ * loads its WASM loader with importScripts() whenever the function exists,
+ * so it is replaced with a version that loads classic scripts by hand.
+ */
+import { createHandLandmarker } from '../modules/tracking-config.js';
+
+let handLandmarker = null;
+
+/**
+ * Replace importScripts() with a version that works in module workers
+ * 
+ * Each script is fetched synchronously (callers expect it to have run when
+ * importScripts() returns) and evaluated in the global scope, so its
+ * top-level declarations (MediaPipe's ModuleFactory) become globals just
+ * like with a classic worker.
+ */
+function installImportScripts() {
+    self.importScripts = (...urls) => {
+        for (const url of urls) {
+            const request = new XMLHttpRequest();
+            request.open('GET', url, false);
+            request.send();
+            if (request.status !== 200) {
+                throw new Error(`Failed to load script ${url}: ${request.status}`);
+            }
+            
+            // Indirect eval runs the script in the global scope
+            (0, eval)(`${request.responseText}\n//# sourceURL=${url}`);
+        }
+    };
+}
+
+/**
+ * Create the HandLandmarker with the configuration chosen by the main thread
+ * 
+ * @param {Object} config - Tracking configuration with absolute asset URLs
+ */
+async function initialize(config) {
+    try {
+        installImportScripts();
+        const vision = await import(config.visionPath);
+        const created = await createHandLandmarker(vision, config);
+        handLandmarker = created.handLandmarker;
+        self.postMessage({ type: 'ready', delegate: created.delegate });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, fatal: true });
+    }
+}
+
+/**
+ * Detect hands in one frame and report the raw results
+ * 
+ * @param {ImageBitmap} frame - Video frame (closed after use)
+ * @param {number} timestamp - Capture time of the frame in milliseconds
+ */
+function detect(frame, timestamp) {
+    const startTime = performance.now();
+    
+    try {
+        const results = handLandmarker.detectForVideo(frame, timestamp);
+        self.postMessage({
+            type: 'result',
+            timestamp: timestamp,
+            landmarks: results.landmarks,
+            handednesses: results.handednesses,
+            inferenceTime: performance.now() - startTime
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, fatal: false });
+    } finally {
+        frame.close();
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init':
+            initialize(message.config);
+            break;
+        case 'detect':
+            if (handLandmarker) {
+                detect(message.frame, message.timestamp);
+            } else {
+                message.frame.close();
+            }
+            break;
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * Launch area check
+ * 
+ * Launches items at the nearest and farthest spawn depth of every game
+ * mode, with the extremes of every random choice, and checks that each arc
+ * peaks and lands inside the area visible at the item's depth.
+ * 
+ * Run from the repository root (Node 18+):
+ *     npm install --no-save three cannon-es
+ *     node --test tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { FoodSpawner } from '../js/modules/food-spawner.js';
+import { PlayPlane } from '../js/modules/play-plane.js';
+import { GAME_MODES } from '../js/modules/game-modes.js';
+
+const GRAVITY = -2.2;
+const RANDOM_EXTREMES = [0, 0.999999];
+
+/**
+ * Create a food spawner fitted to the scene manager's camera setup
+ * 
+ * @returns {Object} { spawner, playPlane }
+ */
+function createSpawner() {
+    const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+    camera.position.set(0, 0, 5);
+    const playPlane = new PlayPlane(camera, 0);
+    
+    const spawner = new FoodSpawner({ getGravity: () => GRAVITY, physicsWorld: new CANNON.World() });
+    spawner.applyPlayArea(playPlane);
+    return { spawner, playPlane };
+}
+
+/**
+ * Compute a launch velocity with fixed values for Math.random()
+ * 
+ * @param {FoodSpawner} spawner - Spawner to launch from
+ * @param {number} spawnX - Horizontal launch position
+ * @param {Object} area - Launch area for the item's depth
+ * @param {Array} randomValues - Values returned by successive Math.random() calls
+ * @returns {Object} Launch velocity {x, y, z}
+ */
+function launchWith(spawner, spawnX, area, randomValues) {
+    const random = Math.random;
+    let call = 0;
+    Math.random = () => randomValues[call++ % randomValues.length];
+    try {
+        return spawner.computeLaunchVelocity(spawnX, area);
+    } finally {
+        Math.random = random;
+    }
+}
+
+test('launches at every spawn depth peak and land inside the visible area', () => {
+    const { spawner, playPlane } = createSpawner();
+    const gravity = -GRAVITY;
+    
+    for (const mode of Object.values(GAME_MODES)) {
+        const spawnDepth = mode.spawnDepth ?? 1;
+        
+        for (const z of [-spawnDepth, spawnDepth]) {
+            const area = spawner.getLaunchArea(z);
+            const bounds = playPlane.getBounds(z);
+            const halfWidth = bounds.width / 2;
+            
+            assert.ok(area.startY < bounds.bottom, `${mode.name} at z=${z}: launch starts inside the frame`);
+            
+            for (const spawnX of [-area.spawnRangeX, 0, area.spawnRangeX]) {
+                for (const peakRandom of RANDOM_EXTREMES) {
+                    for (const sidewaysRandom of RANDOM_EXTREMES) {
+                        const velocity = launchWith(spawner, spawnX, area, [peakRandom, sidewaysRandom, 0.5]);
+                        const riseTime = velocity.y / gravity;
+                        const peakY = area.startY + velocity.y * riseTime - 0.5 * gravity * riseTime * riseTime;
+                        const landingX = spawnX + velocity.x * riseTime * 2;
+                        const label = `${mode.name} at z=${z}, x=${spawnX.toFixed(2)}`;
+                        
+                        assert.ok(peakY <= bounds.top, `${label}: peak ${peakY.toFixed(2)} above the top ${bounds.top.toFixed(2)}`);
+                        assert.ok(peakY >= bounds.bottom, `${label}: peak ${peakY.toFixed(2)} below the bottom`);
+                        assert.ok(Math.abs(landingX) <= halfWidth, `${label}: lands at ${landingX.toFixed(2)}, outside ±${halfWidth.toFixed(2)}`);
+                    }
+                }
+            }
+        }
+    }
+});
@@ -0,0 +1,153 @@
+/**
+ * Slicing pipeline check with synthetic hands
+ * 
+ * Feeds SyntheticHandGenerator streams through the real HandDetector,
+ * CollisionDetector and GameLogic, with every stage driven by the frame
+ * time, so the results do not depend on the speed of the machine.
+ * 
+ * Run from the repository root (Node 18+):
+ *     npm install --no-save three
+ *     node --test tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { SyntheticHandGenerator } from '../js/modules/synthetic-hands.js';
+import { HandDetector } from '../js/modules/hand-detector.js';
+import { MediaPipeInputProvider } from '../js/modules/mediapipe-input-provider.js';
+import { CollisionDetector } from '../js/modules/collision-detector.js';
+import { CollisionVolume } from '../js/modules/collision-volume.js';
+import { GameLogic } from '../js/modules/game-logic.js';
+import { PlayPlane } from '../js/modules/play-plane.js';
+
+/**
+ * Create a play plane with the scene manager's camera setup
+ * 
+ * @returns {PlayPlane} Play plane at z = 0
+ */
+function createPlayPlane() {
+    const camera = new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000);
+    camera.position.set(0, 0, 5);
+    camera.updateMatrixWorld();
+    return new PlayPlane(camera, 0);
+}
+
+/**
+ * Minimal food spawner with fixed foods on the play plane
+ * 
+ * @param {PlayPlane} playPlane - Play plane for placing the foods
+ * @param {Array} videoPositions - Food positions as [x, y] in normalized video coordinates
+ * @returns {Object} Spawner with the interface the CollisionDetector uses
+ */
+function createSpawner(playPlane, videoPositions) {
+    const foods = videoPositions.map(([x, y], index) => {
+        const mesh = new THREE.Mesh(new THREE.SphereGeometry(0.4));
+        mesh.position.copy(playPlane.unproject(x, y));
+        return {
+            type: `apple${index}`,
+            category: 'fruit',
+            mesh,
+            collisionVolume: new CollisionVolume(mesh),
+            collisionTolerance: 0
+        };
+    });
+    
+    const remove = (food) => {
+        const index = foods.indexOf(food);
+        if (index === -1) return false;
+        foods.splice(index, 1);
+        return true;
+    };
+    
+    return {
+        sliced: [],
+        getFoods: () => foods,
+        sliceFood(food) {
+            this.sliced.push(food.type);
+            return remove(food);
+        },
+        removeFood: remove
+    };
+}
+
+/**
+ * Run a generated stream through the slicing pipeline
+ * 
+ * @param {SyntheticHandGenerator} generator - Scripted hands
+ * @param {number} duration - Length of the stream in ms
+ * @param {Array} foodPositions - Food positions in normalized video coordinates
+ * @returns {Object} { gameLogic, spawner, sliceCombos } after the last frame
+ */
+function runPipeline(generator, duration, foodPositions) {
+    const playPlane = createPlayPlane();
+    const spawner = createSpawner(playPlane, foodPositions);
+    const gameLogic = new GameLogic();
+    const handDetector = new HandDetector(null, playPlane);
+    const collisionDetector = new CollisionDetector(new MediaPipeInputProvider(handDetector), spawner, gameLogic);
+    
+    // Record the combo of every slice
+    const sliceCombos = [];
+    const sliceFood = gameLogic.sliceFood.bind(gameLogic);
+    gameLogic.sliceFood = (...args) => {
+        const result = sliceFood(...args);
+        sliceCombos.push(result.combo);
+        return result;
+    };
+    
+    for (const frame of generator.generate(duration)) {
+        handDetector.processHandResults(frame, frame.time, frame.time);
+        handDetector.updateHands(frame.time);
+        collisionDetector.update(frame.time);
+    }
+    
+    return { gameLogic, spawner, sliceCombos };
+}
+
+test('a fast swipe slices every food in its path as one combo and multi-slice', () => {
+    const generator = new SyntheticHandGenerator({ seed: 1 })
+        .addHand({ path: { type: 'swipe', from: [0.85, 0.5], to: [0.15, 0.5], speed: 2 } });
+    
+    const { gameLogic, spawner, sliceCombos } = runPipeline(generator, 1500, [[0.7, 0.5], [0.5, 0.5], [0.3, 0.5]]);
+    
+    assert.deepEqual(spawner.sliced, ['apple0', 'apple1', 'apple2']);
+    assert.deepEqual(sliceCombos, [1, 2, 3]);
+    assert.equal(gameLogic.multiSlices, 1);
+});
+
+test('a detection dropout in the middle of a swipe does not split it', () => {
+    const generator = new SyntheticHandGenerator({ seed: 1 })
+        .addHand({ path: { type: 'swipe', from: [0.85, 0.5], to: [0.15, 0.5], speed: 2 }, dropouts: [[295, 305]] });
+    
+    const { gameLogic, spawner } = runPipeline(generator, 1500, [[0.7, 0.5], [0.5, 0.5], [0.3, 0.5]]);
+    
+    assert.deepEqual(spawner.sliced, ['apple0', 'apple1', 'apple2']);
+    assert.equal(gameLogic.multiSlices, 1);
+    assert.equal(gameLogic.bestMultiSlice, 3);
+});
+
+test('slices further apart than the combo window do not combo', () => {
+    // About 3.5 s from the first food to the second
+    const generator = new SyntheticHandGenerator({ seed: 1 })
+        .addHand({ path: { type: 'swipe', from: [0.8, 0.5], to: [0.4, 0.5], speed: 0.1 } });
+    
+    const { spawner, sliceCombos } = runPipeline(generator, 6000, [[0.7, 0.5], [0.5, 0.5]]);
+    
+    assert.deepEqual(spawner.sliced, ['apple0', 'apple1']);
+    assert.deepEqual(sliceCombos, [1, 1]);
+});
+
+test('the same script gives the same game on every run', () => {
+    const createGenerator = () => new SyntheticHandGenerator({ seed: 42 })
+        .addHand({ path: { type: 'zigzag', from: [0.9, 0.3], to: [0.1, 0.7], amplitude: 0.1, wavelength: 0.3, speed: 1.5 }, jitter: 0.003, dropoutRate: 0.1 })
+        .addHand({ handedness: 'Left', path: { type: 'circle', center: [0.5, 0.5], radius: 0.2, speed: 1 }, jitter: 0.003 })
+        .swapHandsAt(400, 900);
+    const foods = [[0.2, 0.3], [0.4, 0.4], [0.6, 0.5], [0.8, 0.6], [0.5, 0.7], [0.5, 0.3]];
+    
+    const first = runPipeline(createGenerator(), 2000, foods);
+    const second = runPipeline(createGenerator(), 2000, foods);
+    
+    assert.ok(first.spawner.sliced.length > 0);
+    assert.deepEqual(second.spawner.sliced, first.spawner.sliced);
+    assert.deepEqual(second.sliceCombos, first.sliceCombos);
+    assert.equal(second.gameLogic.score, first.gameLogic.score);
+});